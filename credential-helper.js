@@ -0,0 +1,94 @@
+// Git credential helper installed per repository by Git Identity Switcher. Git runs it as
+// "<node> credential-helper.js <servers dir> get|store|erase" and it asks a running VS Code
+// window for the HTTPS token of the identity the repository is switched to. Every window writes
+// "<pid>.json" with the address of its server to the servers directory.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const REQUEST_TIMEOUT = 5000;
+
+function readAttributes() {
+  return new Promise(resolve => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => {
+      const attributes = {};
+      for (const line of input.split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+          attributes[line.slice(0, separator)] = line.slice(separator + 1).replace(/\r$/, '');
+        }
+      }
+      resolve(attributes);
+    });
+  });
+}
+
+// Most recently started windows first
+function listServers(serversDir) {
+  let names;
+  try {
+    names = fs.readdirSync(serversDir).filter(name => name.endsWith('.json'));
+  } catch (error) {
+    return [];
+  }
+
+  const servers = [];
+  for (const name of names) {
+    try {
+      const file = path.join(serversDir, name);
+      const server = JSON.parse(fs.readFileSync(file, 'utf8'));
+      servers.push({ ...server, started: fs.statSync(file).mtimeMs });
+    } catch (error) {
+      // Written or removed at the same moment; skip it
+    }
+  }
+  return servers.sort((a, b) => b.started - a.started);
+}
+
+function ask(server, request) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address);
+    let response = '';
+    socket.setEncoding('utf8');
+    socket.setTimeout(REQUEST_TIMEOUT, () => socket.destroy(new Error('Timed out')));
+    socket.on('connect', () => socket.write(`${JSON.stringify({ ...request, auth: server.auth })}\n`));
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => {
+      try {
+        resolve(JSON.parse(response));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
+async function main() {
+  const [serversDir, action] = process.argv.slice(2);
+  const attributes = await readAttributes();
+  // Tokens live in VS Code's secret storage; there is nothing to store
+  if (action !== 'get' && action !== 'erase') return;
+
+  const { password, ...request } = attributes;
+  for (const server of listServers(serversDir)) {
+    let response;
+    try {
+      response = await ask(server, { action, cwd: process.cwd(), attributes: request });
+    } catch (error) {
+      // The window was closed; try the next one
+      continue;
+    }
+
+    if (action === 'get' && response.username && response.password) {
+      process.stdout.write(`username=${response.username}\npassword=${response.password}\n`);
+    }
+    return;
+  }
+}
+
+// Without an answer git falls back to asking for the credentials itself
+main().catch(() => {});
@@ -1,19 +1,369 @@
 const vscode = require('vscode');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const net = require('net');
+const crypto = require('crypto');
+
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+
+class CommandError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'CommandError';
+    Object.assign(this, details);
+  }
+}
+
+// Every git and ssh call goes through here: programs are started with execFile and an argument
+// array (never a shell), bounded by a timeout, cancellable, and logged to the "Git Identity"
+// output channel together with their result.
+class CommandRunner {
+  constructor() {
+    this.outputChannel = undefined;
+  }
+
+  setOutputChannel(outputChannel) {
+    this.outputChannel = outputChannel;
+  }
+
+  show() {
+    if (this.outputChannel) this.outputChannel.show(true);
+  }
+
+  log(message) {
+    if (!this.outputChannel) return;
+    const time = new Date().toISOString().slice(11, 23);
+    for (const line of message.split(/\r?\n/)) {
+      this.outputChannel.appendLine(`[${time}] ${line}`);
+    }
+  }
+
+  formatCommand(command, args) {
+    const parts = args.map(arg => (arg === '' || /[\s"'`$\\]/.test(arg) ? JSON.stringify(arg) : arg));
+    return [command, ...parts].join(' ');
+  }
+
+  run(command, args, options = {}) {
+    const { cwd, env, token, timeout = DEFAULT_COMMAND_TIMEOUT } = options;
+    const display = this.formatCommand(command, args);
+
+    const invalid = args.find(arg => typeof arg !== 'string' || arg.includes('\0'));
+    if (invalid !== undefined) {
+      return Promise.reject(new CommandError(`Refusing to run ${command}: invalid argument`, { command }));
+    }
+    if (token && token.isCancellationRequested) {
+      return Promise.reject(new CommandError(`${display} was cancelled`, { command, cancelled: true }));
+    }
+
+    this.log(cwd ? `$ ${display}  (in ${cwd})` : `$ ${display}`);
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+      let cancelled = false;
+      let subscription;
+
+      const child = execFile(command, args, {
+        cwd,
+        env,
+        timeout,
+        windowsHide: true,
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        if (subscription) subscription.dispose();
+        const elapsed = `${Date.now() - started} ms`;
+        const errorOutput = stderr.trim();
+        if (errorOutput) this.log(errorOutput.replace(/^/gm, '  '));
+
+        if (!error) {
+          this.log(`  exit 0 (${elapsed})`);
+          resolve({ stdout, stderr });
+          return;
+        }
+
+        const timedOut = !cancelled && error.killed && timeout > 0;
+        let reason;
+        if (cancelled) {
+          reason = 'was cancelled';
+        } else if (timedOut) {
+          reason = `timed out after ${timeout / 1000}s`;
+        } else if (error.code === 'ENOENT' && cwd && !fs.existsSync(cwd)) {
+          reason = `could not be started: ${cwd} does not exist`;
+        } else if (error.code === 'ENOENT') {
+          reason = `could not be started: ${command} was not found on the PATH`;
+        } else {
+          reason = `failed with exit code ${error.code}`;
+        }
+        this.log(`  ${reason} (${elapsed})`);
+
+        const detail = errorOutput.split(/\r?\n/).find(line => line.trim());
+        const label = args.length > 0 ? `${command} ${args[0]}` : command;
+        reject(new CommandError(`${label} ${reason}${detail ? `: ${detail}` : ''}`, {
+          command,
+          args,
+          code: error.code,
+          stdout,
+          stderr,
+          cancelled,
+          timedOut
+        }));
+      });
+
+      if (token) {
+        subscription = token.onCancellationRequested(() => {
+          cancelled = true;
+          child.kill();
+        });
+      }
+    });
+  }
+}
+
+const commandRunner = new CommandRunner();
+
+function runCommand(command, args, options) {
+  return commandRunner.run(command, args, options);
+}
+
+function runGit(args, cwd, options = {}) {
+  return runCommand('git', args, { ...options, cwd }).then(({ stdout }) => stdout.trim());
+}
+
+// Error toasts link to the output channel, where the failing command and its stderr are logged
+function showCommandError(message) {
+  vscode.window.showErrorMessage(message, 'Show Log').then(choice => {
+    if (choice === 'Show Log') commandRunner.show();
+  });
+}
+
+// Git config values, SSH config values and names used in file names must stay on one line
+function validateSingleLine(value, label) {
+  if (typeof value !== 'string' || /[\0\r\n]/.test(value)) {
+    throw new Error(`${label} must be a single line of text`);
+  }
+  return value;
+}
+
+function validateHostName(host) {
+  if (typeof host !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9._-]*$/.test(host)) {
+    throw new Error(`Invalid host name: ${host}`);
+  }
+  return host;
+}
+
+// Key names come from the webview and are joined to ~/.ssh, so they may not contain a path
+function validateKeyName(keyName) {
+  if (typeof keyName !== 'string' || !/^[A-Za-z0-9_][\w.-]*$/.test(keyName)) {
+    throw new Error(`Invalid key name: ${keyName}`);
+  }
+  return keyName;
+}
+
+function validateIdentityField(value) {
+  return /[\0\r\n]/.test(value) ? 'Line breaks are not allowed' : undefined;
+}
+
+// Lowercases a name and drops everything that is not safe in a file name or SSH host alias
+function slugify(text, separator) {
+  return text.toLowerCase().trim().replace(/\s+/g, separator).replace(/[^a-z0-9._-]/g, '');
+}
+
+async function setLocalConfig(cwd, key, value) {
+  if (value === null || value === undefined) {
+    // Exit code 5 means the key was not set, which is the state we want anyway
+    await runGit(['config', '--local', '--unset-all', '--', key], cwd).catch(error => {
+      if (error.code !== 5) throw error;
+    });
+    return;
+  }
+  await runGit(['config', '--local', '--', key, value], cwd);
+}
+
+// Writes all entries to the repository's local config (null unsets a key). If any write fails,
+// the keys already written are restored so the repository is never left half switched.
+// Returns the previous local values.
+async function applyGitConfig(cwd, entries) {
+  for (const [key, value] of Object.entries(entries)) {
+    if (value !== null && value !== undefined) validateSingleLine(value, key);
+  }
+
+  const previous = {};
+  for (const key of Object.keys(entries)) {
+    previous[key] = await runGit(['config', '--local', '--get', key], cwd).catch(() => null);
+  }
+
+  const applied = [];
+  try {
+    for (const [key, value] of Object.entries(entries)) {
+      await setLocalConfig(cwd, key, value);
+      applied.push(key);
+    }
+  } catch (error) {
+    for (const key of applied.reverse()) {
+      await setLocalConfig(cwd, key, previous[key]).catch(() => {});
+    }
+    throw error;
+  }
+
+  return previous;
+}
+
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+function quoteShellArg(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// core.sshCommand is run through sh, also by Git for Windows
+function buildSshCommand(keyPath) {
+  return `ssh -i ${quoteShellArg(toPosixPath(expandHome(keyPath)))} -o IdentitiesOnly=yes`;
+}
+
+// Identities created before sshKeyPath existed rely on the wizard's key naming convention
+function getLegacyKeyPath(identityName) {
+  const keyName = `id_rsa_${identityName.toLowerCase().replace(/\s+/g, '_')}`;
+  return path.join(os.homedir(), '.ssh', path.basename(keyName));
+}
+
+function getPublicKeyPath(identity) {
+  if (!identity.sshKeyPath) {
+    return `${getLegacyKeyPath(identity.name)}.pub`;
+  }
+  const keyPath = expandHome(identity.sshKeyPath);
+  return keyPath.endsWith('.pub') ? keyPath : `${keyPath}.pub`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toPosixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Supports "*", "?", "**" and "{a,b}" - enough for folder patterns like "~/work/**"
+function globToRegExp(pattern) {
+  const glob = toPosixPath(expandHome(pattern.trim()));
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (source.endsWith('/') && i + 2 === glob.length) {
+        // A trailing "/**" also matches the directory itself
+        source = source.slice(0, -1) + '(?:/.*)?';
+        i += 1;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && !inGroup) {
+      source += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}/?$`, process.platform === 'win32' ? 'i' : '');
+}
+
+function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(toPosixPath(filePath));
+}
+
+function parseRemoteHost(remoteUrl) {
+  if (remoteUrl.includes('://')) {
+    try {
+      return new URL(remoteUrl).hostname.toLowerCase();
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // scp-like syntax: [user@]host:path
+  const match = /^(?:[^@/]+@)?([^:/]+):/.exec(remoteUrl);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+// Splits SSH remote URLs so that only the host is replaced when rewriting. HTTPS and local
+// remotes return undefined.
+function parseSshRemote(remoteUrl) {
+  let match = /^((?:git\+)?ssh(?:\+git)?:\/\/(?:[^@/]+@)?)([^:/]+)(.*)$/.exec(remoteUrl);
+  if (match) {
+    return { prefix: match[1], host: match[2], rest: match[3] };
+  }
+  if (remoteUrl.includes('://')) {
+    return undefined;
+  }
+
+  // scp-like syntax; a single letter "host" is a Windows drive
+  match = /^((?:[^@/]+@)?)([^:/]{2,}):(.*)$/.exec(remoteUrl);
+  return match ? { prefix: match[1], host: match[2], rest: `:${match[3]}` } : undefined;
+}
+
+function getIdentityKey(identity) {
+  return identity.id !== undefined ? String(identity.id) : `name:${identity.name}`;
+}
+
+// loadIdentities annotates each identity with where it is stored; those fields never reach settings
+function stripIdentityScope(identity) {
+  const { scope, scopeFolder, ...stored } = identity;
+  return stored;
+}
+
+// Copies handed to other extensions through the API, so they cannot change the stored objects
+function toPublicIdentity(identity) {
+  return { ...stripIdentityScope(identity), scope: identity.scope || 'global' };
+}
 
 class GitIdentityProvider {
   constructor() {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this._onDidChangeIdentities = new vscode.EventEmitter();
+    this.onDidChangeIdentities = this._onDidChangeIdentities.event;
     this.identities = this.loadIdentities();
+    // Findings of the last health check by identity key, shown as badges
+    this.health = new Map();
+  }
+
+  setHealth(health) {
+    this.health = health;
+    this._onDidChangeTreeData.fire();
   }
 
   refresh() {
+    const previous = JSON.stringify(this.identities.map(toPublicIdentity));
     this.identities = this.loadIdentities();
     this._onDidChangeTreeData.fire();
+    // Saving refreshes and so does the settings change that follows; only report actual changes
+    if (JSON.stringify(this.identities.map(toPublicIdentity)) !== previous) {
+      this._onDidChangeIdentities.fire();
+    }
   }
 
   getTreeItem(element) {
@@ -30,7 +380,10 @@ class GitIdentityProvider {
         `${identity.name}`,
         vscode.TreeItemCollapsibleState.None
       );
-      item.description = `${identity.username} <${identity.email}>`;
+      const scopeLabel = this.getScopeLabel(identity);
+      item.description = `${identity.username} <${identity.email}>` +
+        (identity.scope && identity.scope !== 'global' ? ` · ${scopeLabel}` : '');
+      item.tooltip = `${identity.name}: ${identity.username} <${identity.email}>\nStored in ${scopeLabel} settings`;
       item.contextValue = 'identity';
       item.command = {
         command: 'gitIdentitySwitcher.switchIdentity',
@@ -38,6 +391,16 @@ class GitIdentityProvider {
         arguments: [identity]
       };
       item.iconPath = new vscode.ThemeIcon('person');
+
+      const findings = this.health.get(getIdentityKey(identity)) || [];
+      const problems = findings.filter(finding => finding.severity !== 'info');
+      if (problems.length > 0) {
+        const hasError = problems.some(finding => finding.severity === 'error');
+        item.iconPath = hasError
+          ? new vscode.ThemeIcon('error', new vscode.ThemeColor('list.errorForeground'))
+          : new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+        item.tooltip += `\n\n${problems.map(finding => `• ${finding.message}`).join('\n')}`;
+      }
       
       // Store the original identity data in the TreeItem for context menu commands
       item.identity = identity;
@@ -46,15 +409,181 @@ class GitIdentityProvider {
     });
   }
 
-  loadIdentities() {
-    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
-    return config.get('identities', []);
+  getScopeLabel(identity) {
+    switch (identity.scope) {
+      case 'workspace':
+        return 'Workspace';
+      case 'workspaceFolder':
+        return `Folder ${identity.scopeFolder.name}`;
+      default:
+        return 'User';
+    }
   }
 
-  saveIdentities(identities) {
+  // Every place identities can be stored. Folder settings only differ from workspace settings
+  // in a multi-root workspace.
+  getStorageTargets() {
     const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
-    return config.update('identities', identities, vscode.ConfigurationTarget.Global);
+    const inspected = config.inspect('identities') || {};
+    const targets = [
+      { scope: 'global', config, target: vscode.ConfigurationTarget.Global, value: inspected.globalValue }
+    ];
+
+    if (vscode.workspace.workspaceFolders) {
+      targets.push({
+        scope: 'workspace',
+        config,
+        target: vscode.ConfigurationTarget.Workspace,
+        value: inspected.workspaceValue
+      });
+    }
+
+    if (vscode.workspace.workspaceFile) {
+      for (const folder of vscode.workspace.workspaceFolders || []) {
+        const folderConfig = vscode.workspace.getConfiguration('gitIdentitySwitcher', folder.uri);
+        const folderInspected = folderConfig.inspect('identities') || {};
+        targets.push({
+          scope: 'workspaceFolder',
+          scopeFolder: folder,
+          config: folderConfig,
+          target: vscode.ConfigurationTarget.WorkspaceFolder,
+          value: folderInspected.workspaceFolderValue
+        });
+      }
+    }
+
+    return targets;
+  }
+
+  belongsTo(identity, storage) {
+    const scope = identity.scope || 'global';
+    if (scope !== storage.scope) return false;
+    return scope !== 'workspaceFolder' ||
+      identity.scopeFolder.uri.toString() === storage.scopeFolder.uri.toString();
+  }
+
+  // Merges all scopes by id: workspace entries override global ones, folder entries override both
+  loadIdentities() {
+    const merged = new Map();
+    for (const storage of this.getStorageTargets()) {
+      for (const identity of storage.value || []) {
+        const annotated = { ...identity, scope: storage.scope };
+        if (storage.scopeFolder) annotated.scopeFolder = storage.scopeFolder;
+        merged.set(getIdentityKey(identity), annotated);
+      }
+    }
+    return [...merged.values()];
+  }
+
+  // Rules and other settings may refer to an identity by its id or by its name
+  findIdentity(reference) {
+    if (reference === undefined || reference === null || reference === '') {
+      return undefined;
+    }
+    return this.loadIdentities().find(identity =>
+      String(identity.id) === String(reference) || identity.name === reference
+    );
+  }
+
+  // Identities from user settings only, ignoring workspace overrides. For what applies outside
+  // the open workspace, like the include files of directory mappings.
+  loadGlobalIdentities() {
+    const global = this.getStorageTargets().find(storage => storage.scope === 'global');
+    return (global.value || []).map(identity => ({ ...identity, scope: 'global' }));
+  }
+
+  findGlobalIdentity(reference) {
+    if (reference === undefined || reference === null || reference === '') {
+      return undefined;
+    }
+    return this.loadGlobalIdentities().find(identity =>
+      String(identity.id) === String(reference) || identity.name === reference
+    );
+  }
+
+  // Takes the full merged list (as returned by loadIdentities, possibly changed) and writes each
+  // identity to its scope; identities without a scope go to user settings. Only entries visible in
+  // the merged list are touched, so global entries shadowed by a workspace override survive.
+  async saveIdentities(identities) {
+    const previous = this.loadIdentities();
+
+    for (const storage of this.getStorageTargets()) {
+      const kept = identities.filter(identity => this.belongsTo(identity, storage));
+      const keptKeys = new Set(kept.map(getIdentityKey));
+      const removedKeys = new Set(
+        previous
+          .filter(identity => this.belongsTo(identity, storage) && !keptKeys.has(getIdentityKey(identity)))
+          .map(getIdentityKey)
+      );
+
+      const stored = (storage.value || []).filter(identity => !removedKeys.has(getIdentityKey(identity)));
+      for (const identity of kept) {
+        const index = stored.findIndex(current => getIdentityKey(current) === getIdentityKey(identity));
+        if (index === -1) {
+          stored.push(stripIdentityScope(identity));
+        } else {
+          stored[index] = stripIdentityScope(identity);
+        }
+      }
+
+      if (JSON.stringify(stored) !== JSON.stringify(storage.value || [])) {
+        await storage.config.update('identities', stored, storage.target);
+      }
+    }
+  }
+
+  // Lets the user choose where a new or moved identity is stored. Returns undefined if cancelled.
+  async pickScope(placeHolder, exclude) {
+    const items = this.getStorageTargets()
+      .filter(storage => !exclude || !this.belongsTo(exclude, storage))
+      .map(storage => ({
+        label: this.getScopeLabel(storage),
+        description: storage.scope === 'global' ? 'Available in every workspace' : 'Only in this workspace',
+        storage
+      }));
+
+    if (items.length <= 1) {
+      return items[0] && items[0].storage;
+    }
+    const selected = await vscode.window.showQuickPick(items, { placeHolder });
+    return selected && selected.storage;
+  }
+}
+
+// Config values listed in the Current Identity view, in order
+const CURRENT_IDENTITY_KEYS = [
+  { key: 'user.name', label: 'Name', icon: 'person' },
+  { key: 'user.email', label: 'Email', icon: 'mail' },
+  { key: 'user.signingkey', label: 'Signing Key', icon: 'workspace-trusted' },
+  { key: 'core.sshcommand', label: 'SSH Command', icon: 'terminal' }
+];
+
+// Line of the last definition of a key ("remote.origin.url") in a git config file, or 0
+function findConfigLine(filePath, key) {
+  const lastDot = key.lastIndexOf('.');
+  const section = key.slice(0, lastDot).toLowerCase();
+  const name = key.slice(lastDot + 1).toLowerCase();
+  let lines;
+  try {
+    lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  } catch (error) {
+    return 0;
   }
+
+  let current = '';
+  let found = 0;
+  lines.forEach((line, index) => {
+    const header = /^\s*\[\s*([^\s\]"]+)(?:\s+"((?:[^"\\]|\\.)*)")?\s*\]/.exec(line);
+    if (header) {
+      // [remote "origin"] keeps the subsection's case, the old [remote.origin] form doesn't
+      current = header[2] !== undefined ? `${header[1].toLowerCase()}.${header[2]}` : header[1].toLowerCase();
+      line = line.slice(header[0].length);
+    }
+    if (current.toLowerCase() === section && new RegExp(`^\\s*${escapeRegExp(name)}\\s*(=|$)`, 'i').test(line)) {
+      found = index;
+    }
+  });
+  return found;
 }
 
 class CurrentIdentityProvider {
@@ -72,121 +601,763 @@ class CurrentIdentityProvider {
     return element;
   }
 
-  async getChildren() {
-    try {
-      const current = await this.manager.getCurrentIdentity();
-      const item = new vscode.TreeItem(
-        `${current.username}`,
-        vscode.TreeItemCollapsibleState.None
-      );
-      item.description = current.email;
-      item.iconPath = new vscode.ThemeIcon('person');
-      item.tooltip = `Current Git identity for this workspace`;
-      return [item];
-    } catch (error) {
-      const item = new vscode.TreeItem(
-        'No Git repository',
-        vscode.TreeItemCollapsibleState.None
+  async getChildren(element) {
+    if (element) {
+      return element.children || [];
+    }
+
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    if (workspaceFolders.length > 1) {
+      const activeRepository = await this.manager.resolveRepository();
+      return Promise.all(
+        workspaceFolders.map(folder => this.createFolderItem(folder, activeRepository))
       );
-      item.description = 'Open a Git repository to see current identity';
-      item.iconPath = new vscode.ThemeIcon('info');
-      return [item];
     }
-  }
-}
 
-class SSHManager {
-  constructor() {
-    this.sshDir = path.join(os.homedir(), '.ssh');
+    const repository = await this.manager.resolveRepository();
+    const children = repository ? await this.createIdentityItems(repository) : undefined;
+    if (children) {
+      return children;
+    }
+
+    const item = new vscode.TreeItem(
+      'No Git repository',
+      vscode.TreeItemCollapsibleState.None
+    );
+    item.description = 'Open a Git repository to see current identity';
+    item.iconPath = new vscode.ThemeIcon('info');
+    return [item];
   }
 
-  async runSSHWizard() {
-    const panel = vscode.window.createWebviewPanel(
-      'sshWizard',
-      'SSH Setup Wizard',
-      vscode.ViewColumn.One,
-      {
-        enableScripts: true,
-        retainContextWhenHidden: true,
-        localResourceRoots: []
-      }
+  async createFolderItem(folder, activeRepository) {
+    const isActive = activeRepository && activeRepository.index === folder.index;
+    const item = new vscode.TreeItem(
+      folder.name,
+      isActive ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
     );
-    
-    console.log('Webview panel created:', panel);
-    console.log('Webview options:', panel.webview.options);
+    item.folder = folder;
 
-    panel.webview.html = this.getWizardHTML();
-    console.log('Webview HTML set');
-    
-    // Add error handling for webview
-    panel.webview.onDidReceiveMessage(async (message) => {
-      console.log('Webview message received:', message);
-      try {
-        switch (message.command) {
-          case 'generateKey':
-            await this.generateSSHKey(message.data, panel.webview);
-            break;
-          case 'testConnection':
-            await this.testSSHConnection(message.data, panel.webview);
-            break;
-          case 'updateSSHConfig':
-            await this.updateSSHConfig(message.data, panel.webview);
-            break;
-          case 'copyPublicKey':
-            await this.copyPublicKey(message.data, panel.webview);
-            break;
-          default:
-            console.log('Unknown webview message command:', message.command);
-        }
-      } catch (error) {
-        console.error('Error handling webview message:', error);
-        panel.webview.postMessage({
-          command: 'error',
-          data: { error: error.message }
-        });
-      }
-    });
-  }
+    item.children = await this.createIdentityItems(folder);
+    if (item.children) {
+      const current = await this.manager.getCurrentIdentity(folder);
+      item.description = `${current.username} <${current.email}>${isActive ? ' (active)' : ''}`;
+      item.tooltip = `Git identity for ${folder.uri.fsPath}`;
+      item.iconPath = new vscode.ThemeIcon(isActive ? 'person' : 'repo');
+      item.contextValue = 'folderIdentity';
+    } else {
+      item.collapsibleState = vscode.TreeItemCollapsibleState.None;
+      item.description = 'Not a Git repository';
+      item.iconPath = new vscode.ThemeIcon('info');
+    }
 
-  async generateSSHKey(data, webview) {
-    const { identityName, email, provider } = data;
-    const keyName = `id_rsa_${identityName.toLowerCase().replace(/\s+/g, '_')}`;
-    const keyPath = path.join(this.sshDir, keyName);
+    return item;
+  }
 
+  // The matched identity, each identity value with the scope and file it comes from, and the
+  // remotes. Undefined if the folder is not in a Git repository.
+  async createIdentityItems(folder) {
+    const cwd = folder.uri.fsPath;
     try {
-      // Ensure .ssh directory exists
-      if (!fs.existsSync(this.sshDir)) {
-        fs.mkdirSync(this.sshDir, { mode: 0o700 });
-      }
+      await runGit(['rev-parse', '--git-dir'], cwd);
+    } catch (error) {
+      return undefined;
+    }
 
-      // Generate SSH key
-      const command = `ssh-keygen -t rsa -b 4096 -C "${email}" -f "${keyPath}" -N ""`;
-      
-      await new Promise((resolve, reject) => {
-        exec(command, (error, stdout, stderr) => {
-          if (error) {
-            reject(error);
-            return;
-          }
-          resolve();
-        });
-      });
+    const entries = await this.manager.readConfigWithOrigins(cwd);
+    const effective = {};
+    for (const entry of entries) {
+      effective[entry.key] = entry;
+    }
 
-      // Read public key
-      const publicKey = fs.readFileSync(`${keyPath}.pub`, 'utf8').trim();
+    const items = [this.createMatchItem(effective['user.email'], effective['user.name'])];
+    for (const { key, label, icon } of CURRENT_IDENTITY_KEYS) {
+      items.push(this.createValueItem(label, effective[key], key, icon));
+    }
 
-      webview.postMessage({
-        command: 'keyGenerated',
-        data: {
-          success: true,
-          keyName,
-          publicKey,
-          provider
-        }
-      });
+    const remotes = entries.filter(entry => entry.key.startsWith('remote.'));
+    const remotesItem = new vscode.TreeItem(
+      'Remotes',
+      remotes.length > 0 ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
+    );
+    remotesItem.description = remotes.length > 0 ? String(remotes.length) : 'None';
+    remotesItem.iconPath = new vscode.ThemeIcon('cloud');
+    remotesItem.children = remotes.map(entry => {
+      const [, name, kind] = /^remote\.(.*)\.(url|pushurl)$/.exec(entry.key);
+      return this.createValueItem(kind === 'pushurl' ? `${name} (push)` : name, entry, entry.key, 'repo');
+    });
+    items.push(remotesItem);
 
-    } catch (error) {
-      webview.postMessage({
+    return items;
+  }
+
+  createMatchItem(emailEntry, nameEntry) {
+    const email = emailEntry && emailEntry.value;
+    const identity = email && this.manager.provider.loadIdentities().find(id => id.email === email);
+    if (identity) {
+      const item = new vscode.TreeItem(identity.name, vscode.TreeItemCollapsibleState.None);
+      const nameDiffers = nameEntry && nameEntry.value !== identity.username;
+      item.description = nameDiffers ? `Configured identity (name is ${identity.username})` : 'Configured identity';
+      item.tooltip = `Matches the configured identity "${identity.name}": ${identity.username} <${identity.email}>`;
+      item.iconPath = new vscode.ThemeIcon('verified');
+      return item;
+    }
+
+    const item = new vscode.TreeItem('Unmanaged identity', vscode.TreeItemCollapsibleState.None);
+    item.description = email ? 'No configured identity uses this email' : 'No email set';
+    item.tooltip = 'The repository\'s identity is not one of the identities in Git Identity Switcher';
+    item.iconPath = new vscode.ThemeIcon('question');
+    return item;
+  }
+
+  createValueItem(label, entry, key, icon) {
+    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = new vscode.ThemeIcon(icon);
+    if (!entry) {
+      item.description = 'Not set';
+      item.tooltip = `${key} is not set`;
+      return item;
+    }
+
+    item.description = `${entry.value} · ${entry.scope}`;
+    const origin = entry.file || entry.origin;
+    item.tooltip = `${key} = ${entry.value}\nScope: ${entry.scope}\nFrom: ${origin}`;
+    if (entry.file) {
+      item.origin = { file: entry.file, key };
+      item.contextValue = 'configValue';
+      item.command = {
+        command: 'gitIdentitySwitcher.openConfigOrigin',
+        title: 'Open Config File',
+        arguments: [item]
+      };
+    }
+    return item;
+  }
+
+  async openOrigin(item) {
+    if (!item || !item.origin) return;
+    const { file, key } = item.origin;
+    try {
+      const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+      const position = new vscode.Position(findConfigLine(file, key), 0);
+      await vscode.window.showTextDocument(document, { selection: new vscode.Range(position, position) });
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to open ${file}: ${error.message}`);
+    }
+  }
+}
+
+const SSH_CONFIG_MARKER = '# Git Identity Switcher:';
+
+// Canonical spelling of the keywords this extension writes
+const SSH_CONFIG_KEYWORDS = {
+  hostname: 'HostName',
+  user: 'User',
+  port: 'Port',
+  identityfile: 'IdentityFile',
+  identitiesonly: 'IdentitiesOnly',
+  addkeystoagent: 'AddKeysToAgent',
+  usekeychain: 'UseKeychain'
+};
+
+function unquote(value) {
+  return /^".*"$/.test(value) ? value.slice(1, -1) : value;
+}
+
+function splitSSHConfigArgs(value) {
+  return (value.match(/"[^"]*"|\S+/g) || []).map(unquote);
+}
+
+// Structured ~/.ssh/config editor. Every line keeps its original text unless it is changed, so
+// comments and formatting survive a round trip. The file is split into sections: the global
+// section before the first Host/Match line, then one section per Host or Match block. Unindented
+// comments directly above a Host/Match line belong to that block.
+class SSHConfig {
+  constructor(filePath, text = '') {
+    this.filePath = filePath;
+    this.eol = text.includes('\r\n') ? '\r\n' : '\n';
+    this.sections = SSHConfig.parse(text);
+  }
+
+  static load(filePath = path.join(os.homedir(), '.ssh', 'config')) {
+    const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    return new SSHConfig(filePath, text);
+  }
+
+  static parseLine(raw) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) {
+      return { raw };
+    }
+    const match = /^([A-Za-z][A-Za-z0-9]*)(?:\s*=\s*|\s+)(.*)$/.exec(line);
+    if (!match) {
+      return { raw };
+    }
+    return { raw, keyword: match[1].toLowerCase(), value: match[2].trim() };
+  }
+
+  static parse(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const sections = [{ keyword: null, leading: [], lines: [] }];
+    for (const raw of lines) {
+      const entry = SSHConfig.parseLine(raw);
+      const current = sections[sections.length - 1];
+      if (entry.keyword === 'host' || entry.keyword === 'match') {
+        const leading = [];
+        while (current.lines.length > 0 && current.lines[current.lines.length - 1].raw.startsWith('#')) {
+          leading.unshift(current.lines.pop());
+        }
+        sections.push({ keyword: entry.keyword, header: entry, leading, lines: [] });
+      } else {
+        current.lines.push(entry);
+      }
+    }
+    return sections;
+  }
+
+  serialize() {
+    const lines = [];
+    for (const section of this.sections) {
+      lines.push(...section.leading.map(entry => entry.raw));
+      if (section.header) lines.push(section.header.raw);
+      lines.push(...section.lines.map(entry => entry.raw));
+    }
+    return lines.length > 0 ? lines.join(this.eol) + this.eol : '';
+  }
+
+  // Replaces the file atomically, following symlinks (dotfile managers) and keeping a backup
+  save() {
+    const target = fs.existsSync(this.filePath) ? fs.realpathSync(this.filePath) : this.filePath;
+    fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+    if (fs.existsSync(target)) {
+      fs.copyFileSync(target, `${target}.bak`);
+    }
+
+    const tempPath = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, this.serialize(), { mode: 0o600 });
+    fs.renameSync(tempPath, target);
+  }
+
+  getPatterns(section) {
+    return section.keyword === 'host' ? splitSSHConfigArgs(section.header.value) : [];
+  }
+
+  get(section, keyword) {
+    const entry = section.lines.find(line => line.keyword === keyword.toLowerCase());
+    return entry ? unquote(entry.value) : undefined;
+  }
+
+  // Updates the directive in place, or adds it after the block's last directive. null removes it.
+  set(section, keyword, value) {
+    const key = keyword.toLowerCase();
+    const index = section.lines.findIndex(line => line.keyword === key);
+
+    if (value === null || value === undefined) {
+      if (index !== -1) section.lines.splice(index, 1);
+      return;
+    }
+
+    validateSingleLine(value, keyword);
+    const quoted = /\s/.test(value) ? `"${value}"` : value;
+    if (index !== -1) {
+      const existing = section.lines[index];
+      const indent = /^\s*/.exec(existing.raw)[0];
+      const name = existing.raw.trim().split(/[\s=]/, 1)[0];
+      section.lines[index] = SSHConfig.parseLine(`${indent}${name} ${quoted}`);
+      return;
+    }
+
+    let insertAt = section.lines.length;
+    while (insertAt > 0 && !section.lines[insertAt - 1].raw.trim()) {
+      insertAt--;
+    }
+    const sibling = section.lines.find(line => line.keyword);
+    const indent = sibling ? /^\s*/.exec(sibling.raw)[0] : '    ';
+    section.lines.splice(insertAt, 0, SSHConfig.parseLine(`${indent}${SSH_CONFIG_KEYWORDS[key] || keyword} ${quoted}`));
+  }
+
+  // The identity name from our marker comment. Blocks written by older versions carried a
+  // "# <identity> - <provider>" comment above "Host <provider>-<identity>", which counts too.
+  getOwner(section) {
+    const comment = this.getOwnerComment(section);
+    return comment ? comment.owner : undefined;
+  }
+
+  getOwnerComment(section) {
+    for (let index = 0; index < section.leading.length; index++) {
+      const comment = section.leading[index].raw.trim();
+      if (comment.startsWith(SSH_CONFIG_MARKER)) {
+        const owner = comment.slice(SSH_CONFIG_MARKER.length).trim();
+        const provider = / - (\S+)$/.exec(owner);
+        return {
+          index,
+          owner: owner.replace(/ - \S+$/, ''),
+          provider: provider ? provider[1] : undefined
+        };
+      }
+
+      const legacy = /^#\s*(.+) - (\S+)$/.exec(comment);
+      if (legacy) {
+        const [, identityName, provider] = legacy;
+        const alias = `${provider}-${identityName.toLowerCase().replace(/\s+/g, '-')}`;
+        if (this.getPatterns(section).includes(alias)) return { index, owner: identityName, provider };
+      }
+    }
+    return undefined;
+  }
+
+  // Gives a managed block a new alias and owner. The old alias stays as a second pattern so
+  // remotes that still use it keep working.
+  renameHost(section, alias, owner) {
+    const comment = this.getOwnerComment(section);
+    if (!comment) {
+      throw new Error('Only blocks written by Git Identity Switcher can be renamed');
+    }
+
+    const patterns = this.getPatterns(section);
+    if (!patterns.includes(alias)) {
+      const keyword = section.header.raw.trim().split(/[\s=]/, 1)[0];
+      section.header = SSHConfig.parseLine(`${keyword} ${[alias, ...patterns].join(' ')}`);
+    }
+    const suffix = comment.provider ? ` - ${comment.provider}` : '';
+    section.leading[comment.index] = SSHConfig.parseLine(`${SSH_CONFIG_MARKER} ${owner}${suffix}`);
+  }
+
+  isManaged(section) {
+    return this.getOwner(section) !== undefined;
+  }
+
+  getLineNumber(section) {
+    let line = 0;
+    for (const current of this.sections) {
+      line += current.leading.length;
+      if (current === section) return line;
+      if (current.header) line++;
+      line += current.lines.length;
+    }
+    return 0;
+  }
+
+  findOwnHost(alias) {
+    return this.sections.find(section => this.getPatterns(section).includes(alias));
+  }
+
+  // Files named by Include directives. Relative paths are relative to ~/.ssh.
+  getIncludedFiles() {
+    const files = [];
+    for (const section of this.sections) {
+      for (const entry of section.lines) {
+        if (entry.keyword !== 'include') continue;
+        for (const pattern of splitSSHConfigArgs(entry.value)) {
+          const expanded = expandHome(pattern);
+          const absolute = path.isAbsolute(expanded) ? expanded : path.join(os.homedir(), '.ssh', expanded);
+          files.push(...expandPathPattern(absolute));
+        }
+      }
+    }
+    return files;
+  }
+
+  // This file followed by every file it includes, depth first as ssh reads them
+  getAllConfigs(seen = new Set()) {
+    if (seen.has(this.filePath) || seen.size > 32) return [];
+    seen.add(this.filePath);
+
+    const configs = [this];
+    for (const file of this.getIncludedFiles()) {
+      configs.push(...SSHConfig.load(file).getAllConfigs(seen));
+    }
+    return configs;
+  }
+
+  findHost(alias) {
+    for (const config of this.getAllConfigs()) {
+      const section = config.findOwnHost(alias);
+      if (section) return { config, section };
+    }
+    return undefined;
+  }
+
+  getHostNames() {
+    const hostNames = {};
+    for (const config of this.getAllConfigs()) {
+      for (const section of config.sections) {
+        const hostName = config.get(section, 'hostname');
+        if (!hostName) continue;
+        for (const alias of config.getPatterns(section)) {
+          if (!/[*?!]/.test(alias) && !(alias in hostNames)) hostNames[alias] = hostName;
+        }
+      }
+    }
+    return hostNames;
+  }
+
+  getManagedHosts() {
+    const hosts = [];
+    for (const config of this.getAllConfigs()) {
+      for (const section of config.sections) {
+        const owner = config.getOwner(section);
+        if (owner === undefined) continue;
+        hosts.push({
+          config,
+          section,
+          owner,
+          alias: config.getPatterns(section)[0],
+          hostName: config.get(section, 'hostname'),
+          identityFile: config.get(section, 'identityfile')
+        });
+      }
+    }
+    return hosts;
+  }
+
+  // Creates or updates a managed Host block. New blocks go before the first "Host *" or Match
+  // block, because ssh uses the first value it finds and catch-all blocks would otherwise win.
+  upsertHost(alias, options, owner) {
+    let section = this.findOwnHost(alias);
+    if (section && !this.isManaged(section)) {
+      throw new Error(`Host ${alias} in ${this.filePath} was not written by Git Identity Switcher`);
+    }
+
+    if (!section) {
+      section = {
+        keyword: 'host',
+        header: SSHConfig.parseLine(`Host ${alias}`),
+        leading: [SSHConfig.parseLine(`${SSH_CONFIG_MARKER} ${owner}`)],
+        lines: []
+      };
+
+      let index = this.sections.findIndex(current =>
+        current.keyword === 'match' || this.getPatterns(current).includes('*')
+      );
+      if (index === -1) index = this.sections.length;
+
+      const previous = this.sections[index - 1];
+      const previousLines = previous.lines.length > 0 ? previous.lines : previous.leading;
+      if (previous.header || previousLines.length > 0) {
+        const last = previousLines[previousLines.length - 1];
+        if (!last || last.raw.trim()) previous.lines.push({ raw: '' });
+      }
+      if (index < this.sections.length) {
+        section.lines.push({ raw: '' });
+      }
+      this.sections.splice(index, 0, section);
+    }
+
+    for (const [keyword, value] of Object.entries(options)) {
+      this.set(section, keyword, value);
+    }
+    return section;
+  }
+
+  // Removes a managed block together with its marker comment and the blank line after it
+  removeHost(section) {
+    if (!this.isManaged(section)) {
+      throw new Error('Only blocks written by Git Identity Switcher can be removed');
+    }
+    const index = this.sections.indexOf(section);
+    if (index > 0) this.sections.splice(index, 1);
+  }
+}
+
+// Expands "*" and "?" in any segment of an absolute path to the existing files they match
+function expandPathPattern(pattern) {
+  const segments = toPosixPath(pattern).split('/');
+  let matches = [segments[0] || '/'];
+
+  for (const segment of segments.slice(1)) {
+    if (!segment) continue;
+    const next = [];
+    for (const base of matches) {
+      if (!/[*?]/.test(segment)) {
+        next.push(path.join(base, segment));
+        continue;
+      }
+      const matcher = globToRegExp(segment);
+      try {
+        for (const file of fs.readdirSync(base).sort()) {
+          if (matcher.test(file)) next.push(path.join(base, file));
+        }
+      } catch (error) {
+        // Unreadable directory: nothing to include from it
+      }
+    }
+    matches = next;
+  }
+
+  return matches.filter(file => fs.existsSync(file) && fs.statSync(file).isFile());
+}
+
+const SSH_WIZARD_OPTIONS = {
+  enableScripts: true,
+  retainContextWhenHidden: true,
+  localResourceRoots: []
+};
+
+const SSH_KEY_TYPES = {
+  ed25519: { label: 'Ed25519 (recommended)', args: [] },
+  ecdsa: { label: 'ECDSA (P-521)', args: ['-b', '521'] },
+  rsa: { label: 'RSA (4096 bit)', args: ['-b', '4096'] }
+};
+
+// What "ssh -T" prints once the key is accepted, for hosts without their own pattern
+const DEFAULT_AUTH_SUCCESS_PATTERN = 'successfully authenticated|welcome to gitlab|authenticated via ssh key|logged in as';
+
+const BUILT_IN_PROVIDERS = [
+  {
+    id: 'github',
+    label: 'GitHub',
+    hostName: 'github.com',
+    keySettingsUrl: 'https://github.com/settings/keys',
+    authSuccessPattern: 'successfully authenticated'
+  },
+  {
+    id: 'gitlab',
+    label: 'GitLab',
+    hostName: 'gitlab.com',
+    keySettingsUrl: 'https://gitlab.com/-/user_settings/ssh_keys',
+    authSuccessPattern: 'welcome to gitlab'
+  },
+  {
+    id: 'bitbucket',
+    label: 'Bitbucket',
+    hostName: 'bitbucket.org',
+    keySettingsUrl: 'https://bitbucket.org/account/settings/ssh-keys/',
+    authSuccessPattern: 'authenticated via ssh key'
+  }
+];
+
+function normalizeProvider(entry) {
+  validateHostName(entry.id);
+  validateHostName(entry.hostName);
+  const port = entry.port === undefined || entry.port === '' ? 22 : Number(entry.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid SSH port: ${entry.port}`);
+  }
+  const user = entry.user || 'git';
+  if (!/^[A-Za-z0-9._-]+$/.test(user)) {
+    throw new Error(`Invalid SSH user: ${user}`);
+  }
+  const authSuccessPattern = entry.authSuccessPattern || DEFAULT_AUTH_SUCCESS_PATTERN;
+  try {
+    new RegExp(authSuccessPattern, 'i');
+  } catch (error) {
+    throw new Error(`Invalid authSuccessPattern: ${error.message}`);
+  }
+  return {
+    id: entry.id,
+    label: entry.label || entry.hostName,
+    hostName: entry.hostName,
+    port,
+    user,
+    keySettingsUrl: /^https?:\/\//i.test(entry.keySettingsUrl || '') ? entry.keySettingsUrl : undefined,
+    authSuccessPattern
+  };
+}
+
+// Built-in hosts followed by gitIdentitySwitcher.providers; a user entry with a built-in id
+// replaces it. Broken entries are left out and reported in the log.
+function getProviders() {
+  const providers = new Map(BUILT_IN_PROVIDERS.map(provider => [provider.id, normalizeProvider(provider)]));
+  const configured = vscode.workspace.getConfiguration('gitIdentitySwitcher').get('providers', []);
+  for (const entry of Array.isArray(configured) ? configured : []) {
+    try {
+      const provider = normalizeProvider(entry || {});
+      providers.set(provider.id, provider);
+    } catch (error) {
+      commandRunner.log(`Ignoring provider ${JSON.stringify(entry)}: ${error.message}`);
+    }
+  }
+  return [...providers.values()];
+}
+
+// The wizard sends a provider id, or "other" with the host details typed into the form
+function resolveProvider(data) {
+  if (data.provider === 'other') {
+    if (!data.hostName) {
+      throw new Error('Enter the SSH host name of your Git server');
+    }
+    return normalizeProvider({ id: data.hostName, hostName: data.hostName, port: data.port, user: data.sshUser });
+  }
+  const provider = getProviders().find(candidate => candidate.id === data.provider);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${data.provider}`);
+  }
+  return provider;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class SSHManager {
+  constructor(provider) {
+    this.provider = provider;
+    this.sshDir = path.join(os.homedir(), '.ssh');
+  }
+
+  // Opened from an identity in the tree, the wizard sets up a key for that identity
+  async runSSHWizard(identity) {
+    const existing = identity && identity.identity ? identity.identity : identity;
+    const panel = vscode.window.createWebviewPanel(
+      'sshWizard',
+      'SSH Setup Wizard',
+      vscode.ViewColumn.One,
+      SSH_WIZARD_OPTIONS
+    );
+    this.attachWizard(panel, existing && existing.name ? existing : undefined);
+  }
+
+  // Called by the panel serializer after a window reload. The page restores the entered values
+  // and progress from its own state.
+  restoreSSHWizard(panel) {
+    panel.webview.options = SSH_WIZARD_OPTIONS;
+    this.attachWizard(panel);
+  }
+
+  attachWizard(panel, identity) {
+    panel.webview.html = this.getWizardHTML(panel.webview, identity);
+
+    let disposed = false;
+    const messageListener = panel.webview.onDidReceiveMessage(async (message) => {
+      try {
+        switch (message.command) {
+          case 'generateKey':
+            await this.generateSSHKey(message.data, panel.webview);
+            break;
+          case 'testConnection':
+            await this.testSSHConnection(message.data, panel.webview);
+            break;
+          case 'updateSSHConfig':
+            await this.updateSSHConfig(message.data, panel.webview);
+            break;
+          case 'copyPublicKey':
+            await this.copyPublicKey(message.data, panel.webview);
+            break;
+          case 'registerSigningKey':
+            await this.registerSigningKey(message.data, panel.webview);
+            break;
+          case 'addToAgent':
+            await this.addKeyToAgent(message.data, panel.webview);
+            break;
+          case 'closeWizard':
+            await this.completeWizard(message.data, panel);
+            break;
+          default:
+            commandRunner.log(`Unknown webview message command: ${message.command}`);
+        }
+      } catch (error) {
+        commandRunner.log(`Error handling webview message: ${error.message}`);
+        // A step may still be running when the panel is closed
+        if (!disposed) {
+          panel.webview.postMessage({
+            command: 'error',
+            data: { error: error.message }
+          });
+        }
+      }
+    });
+
+    const disposeListener = panel.onDidDispose(() => {
+      disposed = true;
+      messageListener.dispose();
+      disposeListener.dispose();
+    });
+  }
+
+  async generateSSHKey(data, webview) {
+    const { identityName, email, usePassphrase } = data;
+    const keyType = SSH_KEY_TYPES[data.keyType] ? data.keyType : 'ed25519';
+    const keyName = `id_${keyType}_${slugify(identityName, '_')}`;
+    const keyPath = path.join(this.sshDir, keyName);
+
+    try {
+      validateSingleLine(email, 'Email');
+      const provider = resolveProvider(data);
+      if (!slugify(identityName, '_')) {
+        throw new Error('The identity name needs at least one letter or digit to name the key file');
+      }
+
+      // Ensure .ssh directory exists
+      if (!fs.existsSync(this.sshDir)) {
+        fs.mkdirSync(this.sshDir, { mode: 0o700 });
+      }
+
+      // Never overwrite a key silently: servers that trust it would lock the user out
+      let reuseExisting = false;
+      if (fs.existsSync(keyPath) || fs.existsSync(`${keyPath}.pub`)) {
+        const choice = await vscode.window.showWarningMessage(
+          `~/.ssh/${keyName} already exists. Overwriting it breaks access to every server that trusts the old key.`,
+          { modal: true },
+          'Use Existing Key',
+          'Overwrite'
+        );
+        if (choice === 'Use Existing Key' && fs.existsSync(`${keyPath}.pub`)) {
+          reuseExisting = true;
+        } else if (choice === 'Overwrite') {
+          fs.rmSync(keyPath, { force: true });
+          fs.rmSync(`${keyPath}.pub`, { force: true });
+        } else {
+          throw new Error(`Kept the existing key ~/.ssh/${keyName}`);
+        }
+      }
+
+      let passphraseProtected;
+      if (reuseExisting) {
+        passphraseProtected = await this.isKeyEncrypted(keyPath);
+      } else {
+        let passphrase = '';
+        if (usePassphrase) {
+          passphrase = await this.promptPassphrase();
+          if (passphrase === undefined) {
+            throw new Error('Key generation cancelled');
+          }
+        }
+
+        const keygenArgs = ['-t', keyType, ...SSH_KEY_TYPES[keyType].args, '-C', email, '-f', keyPath];
+        if (passphrase) {
+          // Through SSH_ASKPASS, which answers both prompts: arguments are visible to other users
+          await this.withAskpass(passphrase, env => runCommand('ssh-keygen', keygenArgs, { env }));
+        } else {
+          await runCommand('ssh-keygen', [...keygenArgs, '-N', '']);
+        }
+        passphraseProtected = Boolean(passphrase);
+      }
+
+      // Read public key
+      const publicKey = fs.readFileSync(`${keyPath}.pub`, 'utf8').trim();
+
+      // Bind the key to the identity of the same name if it doesn't have one yet
+      const identities = this.provider.loadIdentities();
+      const identity = identities.find(id => id.name === identityName);
+      if (identity && !identity.sshKeyPath) {
+        identity.sshKeyPath = `~/.ssh/${keyName}`;
+        await this.provider.saveIdentities(identities);
+        this.provider.refresh();
+      }
+
+      webview.postMessage({
+        command: 'keyGenerated',
+        data: {
+          success: true,
+          keyName,
+          publicKey,
+          provider: { label: provider.label, keySettingsUrl: provider.keySettingsUrl },
+          reusedExisting: reuseExisting,
+          passphraseProtected
+        }
+      });
+
+    } catch (error) {
+      webview.postMessage({
         command: 'keyGenerated',
         data: {
           success: false,
@@ -196,529 +1367,3980 @@ class SSHManager {
     }
   }
 
-  async updateSSHConfig(data, webview) {
-    const { identityName, provider, keyName, hostUrl } = data;
-    const configPath = path.join(this.sshDir, 'config');
-    
+  // Asked in VS Code rather than in the webview so the passphrase never enters the page
+  async promptPassphrase() {
+    const passphrase = await vscode.window.showInputBox({
+      prompt: 'Enter a passphrase for the new SSH key',
+      password: true,
+      ignoreFocusOut: true,
+      validateInput: value => (value.length < 5 ? 'Use at least 5 characters' : undefined)
+    });
+    if (passphrase === undefined) return undefined;
+
+    const confirmation = await vscode.window.showInputBox({
+      prompt: 'Repeat the passphrase',
+      password: true,
+      ignoreFocusOut: true,
+      validateInput: value => (value === passphrase ? undefined : 'The passphrases do not match')
+    });
+    return confirmation === undefined ? undefined : passphrase;
+  }
+
+  async isKeyEncrypted(keyPath) {
+    try {
+      // Deriving the public key with an empty passphrase only works for unprotected keys
+      await runCommand('ssh-keygen', ['-y', '-P', '', '-f', keyPath], { timeout: 10000 });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // ssh-add and ssh-keygen read passphrases through SSH_ASKPASS when there is no terminal. The script only
+  // echoes an environment variable, so the passphrase itself is never written to disk.
+  async withAskpass(passphrase, callback) {
+    const isWindows = process.platform === 'win32';
+    const askpassDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-identity-switcher-'));
+    const askpassPath = path.join(askpassDir, isWindows ? 'askpass.cmd' : 'askpass.sh');
+    fs.writeFileSync(
+      askpassPath,
+      isWindows
+        ? '@echo off\r\necho %GIT_IDENTITY_SWITCHER_PASSPHRASE%\r\n'
+        : '#!/bin/sh\nprintf \'%s\\n\' "$GIT_IDENTITY_SWITCHER_PASSPHRASE"\n',
+      { mode: 0o700 }
+    );
+
+    try {
+      return await callback({
+        ...process.env,
+        SSH_ASKPASS: askpassPath,
+        SSH_ASKPASS_REQUIRE: 'force',
+        DISPLAY: process.env.DISPLAY || ':0',
+        GIT_IDENTITY_SWITCHER_PASSPHRASE: passphrase
+      });
+    } finally {
+      fs.rmSync(askpassDir, { recursive: true, force: true });
+    }
+  }
+
+  // Asks for the key's passphrase in VS Code when it has one. Throws if ssh-add fails.
+  async loadKeyIntoAgent(keyPath) {
+    // The Windows OpenSSH agent listens on a named pipe and needs no SSH_AUTH_SOCK
+    if (process.platform !== 'win32' && !process.env.SSH_AUTH_SOCK) {
+      throw new Error('No ssh-agent is running (SSH_AUTH_SOCK is not set)');
+    }
+
+    let passphrase = '';
+    if (await this.isKeyEncrypted(keyPath)) {
+      const displayPath = path.dirname(keyPath) === this.sshDir ? `~/.ssh/${path.basename(keyPath)}` : keyPath;
+      passphrase = await vscode.window.showInputBox({
+        prompt: `Enter the passphrase for ${displayPath}`,
+        password: true,
+        ignoreFocusOut: true
+      });
+      if (passphrase === undefined) {
+        throw new Error('Adding the key to ssh-agent was cancelled');
+      }
+    }
+
+    // Store the passphrase in the macOS keychain so the agent can reload the key after a reboot
+    const args = process.platform === 'darwin' ? ['--apple-use-keychain', keyPath] : [keyPath];
+    await this.withAskpass(passphrase, env => runCommand('ssh-add', args, { env, timeout: 15000 }));
+  }
+
+  async addKeyToAgent(data, webview) {
+    try {
+      await this.loadKeyIntoAgent(path.join(this.sshDir, validateKeyName(data.keyName)));
+
+      webview.postMessage({
+        command: 'agentUpdated',
+        data: { success: true }
+      });
+    } catch (error) {
+      webview.postMessage({
+        command: 'agentUpdated',
+        data: { success: false, error: error.stderr ? error.stderr.trim() : error.message }
+      });
+    }
+  }
+
+  async updateSSHConfig(data, webview) {
+    const { identityName, keyName, addKeysToAgent } = data;
+    const configPath = path.join(this.sshDir, 'config');
+    
+    try {
+      const provider = resolveProvider(data);
+      validateKeyName(keyName);
+      const hostAlias = validateHostName(`${provider.id}-${slugify(identityName, '-')}`);
+
+      // The alias may already live in an included file; update it where it is
+      const existing = SSHConfig.load(configPath).findHost(hostAlias);
+      const config = existing ? existing.config : SSHConfig.load(configPath);
+      config.upsertHost(hostAlias, {
+        HostName: provider.hostName,
+        Port: provider.port !== 22 ? String(provider.port) : null,
+        User: provider.user,
+        IdentityFile: `~/.ssh/${keyName}`,
+        IdentitiesOnly: 'yes',
+        AddKeysToAgent: addKeysToAgent ? 'yes' : null,
+        UseKeychain: addKeysToAgent && process.platform === 'darwin' ? 'yes' : null
+      }, `${identityName} - ${provider.id}`);
+      config.save();
+
+      // Let the identity of the same name rewrite remotes to the new alias
+      const identities = this.provider.loadIdentities();
+      const identity = identities.find(id => id.name === identityName);
+      if (identity && !identity.sshHost) {
+        identity.sshHost = hostAlias;
+        await this.provider.saveIdentities(identities);
+        this.provider.refresh();
+      }
+
+      webview.postMessage({
+        command: 'configUpdated',
+        data: {
+          success: true,
+          hostAlias,
+          cloneExample: `git clone ${provider.user}@${hostAlias}:username/repo.git`
+        }
+      });
+
+    } catch (error) {
+      webview.postMessage({
+        command: 'configUpdated',
+        data: {
+          success: false,
+          error: error.message
+        }
+      });
+    }
+  }
+
+  async testSSHConnection(data, webview) {
+    const { hostAlias } = data;
+    
+    try {
+      validateHostName(hostAlias);
+      const provider = resolveProvider(data);
+
+      // BatchMode makes ssh fail instead of waiting for a prompt nobody can answer
+      let output;
+      try {
+        const result = await runCommand('ssh', [
+          '-T', '-o', 'BatchMode=yes', '-p', String(provider.port), `${provider.user}@${hostAlias}`
+        ], { timeout: 10000 });
+        output = result.stdout + result.stderr;
+      } catch (error) {
+        // SSH test usually returns exit code 1 but with success message in stderr
+        if (error.timedOut || error.code === 'ENOENT') throw error;
+        output = (error.stdout || '') + (error.stderr || '');
+      }
+
+      const success = new RegExp(provider.authSuccessPattern, 'i').test(output);
+
+      webview.postMessage({
+        command: 'connectionTested',
+        data: {
+          success,
+          output: output.trim()
+        }
+      });
+
+    } catch (error) {
+      webview.postMessage({
+        command: 'connectionTested',
+        data: {
+          success: false,
+          error: error.message
+        }
+      });
+    }
+  }
+
+  // Lets git verify SSH signatures made with the key and, when an identity with the wizard's
+  // name exists, makes it sign commits with the key
+  async registerSigningKey(data, webview) {
+    const { identityName, email, keyName } = data;
+
+    try {
+      validateSingleLine(email, 'Email');
+      const publicKeyPath = path.join(this.sshDir, `${validateKeyName(keyName)}.pub`);
+      const publicKey = fs.readFileSync(publicKeyPath, 'utf8').trim();
+
+      let allowedSignersPath = await runGit(
+        ['config', '--global', '--get', 'gpg.ssh.allowedSignersFile'],
+        os.homedir()
+      ).catch(() => '');
+      if (allowedSignersPath) {
+        allowedSignersPath = expandHome(allowedSignersPath);
+      } else {
+        allowedSignersPath = path.join(this.sshDir, 'allowed_signers');
+        await runGit(
+          ['config', '--global', 'gpg.ssh.allowedSignersFile', allowedSignersPath],
+          os.homedir()
+        );
+      }
+
+      const existing = fs.existsSync(allowedSignersPath) ? fs.readFileSync(allowedSignersPath, 'utf8') : '';
+      const entry = `${email} namespaces="git" ${publicKey}`;
+      if (!existing.split('\n').some(line => line.trim() === entry)) {
+        const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+        fs.writeFileSync(allowedSignersPath, `${existing}${separator}${entry}\n`, { mode: 0o644 });
+      }
+
+      const identities = this.provider.loadIdentities();
+      const identity = identities.find(id => id.name === identityName);
+      if (identity) {
+        identity.signingKey = `~/.ssh/${keyName}.pub`;
+        identity.signingFormat = 'ssh';
+        identity.signCommits = true;
+        await this.provider.saveIdentities(identities);
+        this.provider.refresh();
+      }
+
+      webview.postMessage({
+        command: 'signingKeyRegistered',
+        data: {
+          success: true,
+          allowedSignersPath,
+          identityUpdated: Boolean(identity)
+        }
+      });
+    } catch (error) {
+      webview.postMessage({
+        command: 'signingKeyRegistered',
+        data: { success: false, error: error.message }
+      });
+    }
+  }
+
+  async showManagedHosts() {
+    const hosts = SSHConfig.load(path.join(this.sshDir, 'config')).getManagedHosts();
+    if (hosts.length === 0) {
+      vscode.window.showInformationMessage('No SSH hosts managed by Git Identity Switcher');
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      hosts.map(host => ({
+        label: `$(server) ${host.alias}`,
+        description: host.hostName,
+        detail: `${host.owner} · ${host.identityFile || 'no IdentityFile'} · ${host.config.filePath}`,
+        host
+      })),
+      { placeHolder: 'Managed SSH hosts - select one to open it in the config file' }
+    );
+    if (!selected) return;
+
+    const { config, section } = selected.host;
+    const document = await vscode.workspace.openTextDocument(config.filePath);
+    const line = config.getLineNumber(section);
+    await vscode.window.showTextDocument(document, {
+      selection: new vscode.Range(line, 0, line, 0)
+    });
+  }
+
+  // Removes managed Host blocks. Blocks whose identity is gone or whose key file is missing are
+  // preselected.
+  async cleanUpManagedHosts() {
+    const hosts = SSHConfig.load(path.join(this.sshDir, 'config')).getManagedHosts();
+    if (hosts.length === 0) {
+      vscode.window.showInformationMessage('No SSH hosts managed by Git Identity Switcher');
+      return;
+    }
+
+    const identityNames = new Set(this.provider.loadIdentities().map(identity => identity.name));
+    const items = hosts.map(host => {
+      const problems = [];
+      if (!identityNames.has(host.owner)) problems.push('identity deleted');
+      if (host.identityFile && !fs.existsSync(expandHome(host.identityFile))) problems.push('key file missing');
+      return {
+        label: `$(server) ${host.alias}`,
+        description: problems.length > 0 ? problems.join(', ') : host.owner,
+        detail: `${host.hostName || ''} · ${host.config.filePath}`,
+        picked: problems.length > 0,
+        host
+      };
+    });
+
+    const selected = await vscode.window.showQuickPick(items, {
+      canPickMany: true,
+      placeHolder: 'Select the managed SSH hosts to remove'
+    });
+    if (!selected || selected.length === 0) return;
+
+    const confirm = await vscode.window.showWarningMessage(
+      `Remove ${selected.length} Host block${selected.length === 1 ? '' : 's'} from your SSH config? A backup is kept next to each file as .bak.`,
+      { modal: true },
+      'Remove'
+    );
+    if (confirm !== 'Remove') return;
+
+    try {
+      const changed = new Set();
+      for (const item of selected) {
+        item.host.config.removeHost(item.host.section);
+        changed.add(item.host.config);
+      }
+      changed.forEach(config => config.save());
+      vscode.window.showInformationMessage(`Removed ${selected.length} SSH host${selected.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      showCommandError(`Failed to update SSH config: ${error.message}`);
+    }
+  }
+
+  // Saves the identity from step 1 with the key and host alias the wizard set up, closes the
+  // wizard and offers to switch to the identity
+  async completeWizard(data, panel) {
+    const { identityName, username, email, keyName, hostAlias } = data;
+
+    try {
+      for (const [value, label] of [[identityName, 'Identity name'], [username, 'Git username'], [email, 'Email']]) {
+        if (!value || !value.trim()) throw new Error(`${label} is required`);
+        validateSingleLine(value, label);
+      }
+      validateKeyName(keyName);
+      validateHostName(hostAlias);
+
+      const identities = this.provider.loadIdentities();
+      let identity = (data.identityId !== undefined && data.identityId !== '' &&
+        identities.find(id => String(id.id) === String(data.identityId))) ||
+        identities.find(id => id.name === identityName);
+      const created = !identity;
+      if (created) {
+        const storage = await this.provider.pickScope('Where should this identity be stored?');
+        if (!storage) {
+          panel.webview.postMessage({ command: 'wizardCompleted', data: { success: false, cancelled: true } });
+          return;
+        }
+        identity = { name: identityName, id: Date.now(), scope: storage.scope };
+        if (storage.scopeFolder) {
+          identity.scopeFolder = storage.scopeFolder;
+        }
+        identities.push(identity);
+      } else if (identity.id === undefined) {
+        identity.id = Date.now();
+      }
+      Object.assign(identity, {
+        username: username.trim(),
+        email: email.trim(),
+        sshKeyPath: `~/.ssh/${keyName}`,
+        sshHost: hostAlias
+      });
+
+      await this.provider.saveIdentities(identities);
+      this.provider.refresh();
+      panel.dispose();
+
+      const actions = vscode.workspace.workspaceFolders?.length ? ['Switch to Identity'] : [];
+      const choice = await vscode.window.showInformationMessage(
+        `${created ? 'Added' : 'Updated'} identity "${identity.name}" with key ~/.ssh/${keyName} and host ${hostAlias}`,
+        ...actions
+      );
+      if (choice) {
+        await vscode.commands.executeCommand('gitIdentitySwitcher.switchIdentity', identity);
+      }
+    } catch (error) {
+      panel.webview.postMessage({
+        command: 'wizardCompleted',
+        data: {
+          success: false,
+          error: error.message
+        }
+      });
+    }
+  }
+
+  async copyPublicKey(data, webview) {
+    try {
+      await vscode.env.clipboard.writeText(data.publicKey);
+      webview.postMessage({
+        command: 'publicKeyCopied',
+        data: { success: true }
+      });
+    } catch (error) {
+      webview.postMessage({
+        command: 'publicKeyCopied',
+        data: { success: false, error: error.message }
+      });
+    }
+  }
+
+  // Everything the page shows from outside (ssh output, errors, settings) is set as text, and
+  // the CSP only runs the script carrying this page's nonce
+  getWizardHTML(webview, identity) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const value = text => (text ? ` value="${escapeHtml(text)}"` : '');
+    const providerOptions = getProviders().map(provider => {
+      const port = provider.port !== 22 ? `:${provider.port}` : '';
+      return `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.label)} (${escapeHtml(provider.hostName + port)})</option>`;
+    }).join('\n                ');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>SSH Setup Wizard</title>
+    <style nonce="${nonce}">
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: var(--vscode-editor-background); color: var(--vscode-editor-foreground); }
+        .step { display: none; background: var(--vscode-editor-inactiveSelectionBackground); border-radius: 8px; padding: 20px; margin-bottom: 20px; }
+        .step.active { display: block; }
+        .step h2 { margin-top: 0; color: var(--vscode-textLink-foreground); }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: 500; }
+        input, select, textarea { width: 100%; padding: 8px 12px; border: 1px solid var(--vscode-input-border); background: var(--vscode-input-background); color: var(--vscode-input-foreground); border-radius: 4px; box-sizing: border-box; }
+        input[type="checkbox"] { width: auto; }
+        button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; margin-right: 10px; }
+        button:hover { background: var(--vscode-button-hoverBackground); }
+        button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+        .hidden { display: none; }
+        .success { color: var(--vscode-testing-iconPassed); background: var(--vscode-inputValidation-infoBackground); padding: 10px; border-radius: 4px; margin: 10px 0; }
+        .error { color: var(--vscode-testing-iconFailed); background: var(--vscode-inputValidation-errorBackground); padding: 10px; border-radius: 4px; margin: 10px 0; }
+        .code-block { background: var(--vscode-textCodeBlock-background); padding: 10px; border-radius: 4px; font-family: 'Courier New', monospace; margin: 10px 0; font-size: 12px; white-space: pre-wrap; }
+        .progress { display: flex; justify-content: space-between; margin-bottom: 30px; padding-bottom: 10px; border-bottom: 1px solid var(--vscode-input-border); }
+        .progress-step { flex: 1; text-align: center; padding: 5px; background: var(--vscode-button-secondaryBackground); margin: 0 2px; border-radius: 4px; font-size: 12px; }
+        .progress-step.active { background: var(--vscode-button-background); color: var(--vscode-button-foreground); }
+        .progress-step.completed { background: var(--vscode-testing-iconPassed); color: white; }
+    </style>
+</head>
+<body>
+    <h1>SSH Setup Wizard</h1>
+    <div class="progress">
+        <div class="progress-step active" id="progress-1">1. Identity Info</div>
+        <div class="progress-step" id="progress-2">2. Generate Key</div>
+        <div class="progress-step" id="progress-3">3. Add to Provider</div>
+        <div class="progress-step" id="progress-4">4. Configure & Test</div>
+    </div>
+    <div id="wizard-error"></div>
+
+    <div class="step active" id="step-1">
+        <h2>Step 1: Identity Information</h2>
+        <p>First, let's gather the basic information for this Git identity.</p>
+        <div class="form-group">
+            <label>Identity Name:</label>
+            <input type="text" id="identityName" placeholder="e.g., Work, Personal"${value(identity && identity.name)}${identity ? ' readonly' : ''} />
+            <input type="hidden" id="identityId"${value(identity && identity.id !== undefined ? String(identity.id) : '')} />
+        </div>
+        <div class="form-group">
+            <label>Git Username:</label>
+            <input type="text" id="username" placeholder="e.g., Jane Doe"${value(identity && identity.username)} />
+        </div>
+        <div class="form-group">
+            <label>Email Address:</label>
+            <input type="email" id="email" placeholder="your.email@example.com"${value(identity && identity.email)} />
+        </div>
+        <div class="form-group">
+            <label>Git Provider:</label>
+            <select id="provider">
+                ${providerOptions}
+                <option value="other">Other (self-hosted)</option>
+            </select>
+        </div>
+        <div id="other-provider" class="hidden">
+            <div class="form-group">
+                <label>SSH Host Name:</label>
+                <input type="text" id="hostName" placeholder="git.example.com" />
+            </div>
+            <div class="form-group">
+                <label>SSH Port:</label>
+                <input type="number" id="port" value="22" min="1" max="65535" />
+            </div>
+            <div class="form-group">
+                <label>SSH User:</label>
+                <input type="text" id="sshUser" value="git" />
+            </div>
+        </div>
+        <div id="identity-status"></div>
+        <button data-action="next" data-step="2">Next: Generate SSH Key</button>
+    </div>
+
+    <div class="step" id="step-2">
+        <h2>Step 2: Generate SSH Key</h2>
+        <p>We'll generate a unique SSH key for this identity.</p>
+        <div class="form-group">
+            <label>Key Type:</label>
+            <select id="keyType">
+                <option value="ed25519" selected>Ed25519 (recommended)</option>
+                <option value="ecdsa">ECDSA (P-521)</option>
+                <option value="rsa">RSA (4096 bit)</option>
+            </select>
+        </div>
+        <div class="form-group">
+            <label><input type="checkbox" id="usePassphrase" checked /> Protect the key with a passphrase (you'll be asked for it in VS Code)</label>
+        </div>
+        <div id="key-generation-status"></div>
+        <button data-action="generateKey">Generate SSH Key</button>
+        <button class="secondary" data-action="back" data-step="1">Back</button>
+        <button class="hidden" data-action="next" data-step="3" id="next-step-2">Next: Add Key to Provider</button>
+    </div>
+
+    <div class="step" id="step-3">
+        <h2>Step 3: Add SSH Key to Your Git Provider</h2>
+        <p>Copy your public key and add it to your Git provider account.</p>
+        <div class="form-group">
+            <label>Your SSH Public Key:</label>
+            <textarea id="publicKeyDisplay" rows="4" readonly></textarea>
+            <button data-action="copyPublicKey">Copy to Clipboard</button>
+        </div>
+        <div id="provider-instructions"></div>
+        <div id="copy-status"></div>
+        <div class="form-group">
+            <p>Git can also sign your commits with this key. Add it to your provider a second time as a <strong>signing key</strong> so signed commits show as verified.</p>
+            <button data-action="registerSigningKey">Use Key for Commit Signing</button>
+            <div id="signing-status"></div>
+        </div>
+        <button class="secondary" data-action="back" data-step="2">Back</button>
+        <button data-action="next" data-step="4">Next: Configure & Test</button>
+    </div>
+
+    <div class="step" id="step-4">
+        <h2>Step 4: Configure SSH and Test Connection</h2>
+        <p>We'll update your SSH config and test the connection.</p>
+        <div class="form-group">
+            <label><input type="checkbox" id="addKeysToAgent" checked /> Load the key into ssh-agent on first use (AddKeysToAgent)</label>
+        </div>
+        <div id="config-status"></div>
+        <button data-action="updateSSHConfig">Update SSH Config</button>
+        <button data-action="addToAgent">Add Key to ssh-agent</button>
+        <div id="agent-status"></div>
+        <button class="hidden" data-action="testConnection" id="test-button">Test SSH Connection</button>
+        <div id="test-results"></div>
+        <div id="completion-status"></div>
+        <button class="secondary" data-action="back" data-step="3">Back</button>
+        <button class="hidden" data-action="completeWizard" id="complete-button">Complete Setup</button>
+    </div>
+
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        const FIELDS = ['identityName', 'identityId', 'username', 'email', 'provider', 'hostName', 'port', 'sshUser', 'keyType'];
+        const CHECKBOXES = ['usePassphrase', 'addKeysToAgent'];
+
+        // Survives hiding the panel and, through the panel serializer, reloading the window
+        const state = vscode.getState() || { step: 1, currentData: {}, statuses: {}, values: {} };
+        const currentData = state.currentData;
+
+        function saveState() {
+            FIELDS.forEach(id => { state.values[id] = document.getElementById(id).value; });
+            CHECKBOXES.forEach(id => { state.values[id] = document.getElementById(id).checked; });
+            vscode.setState(state);
+        }
+
+        // Without text the status is cleared
+        function setStatus(id, kind, text, code) {
+            if (text === undefined) delete state.statuses[id];
+            else state.statuses[id] = { kind, text, code };
+            renderStatus(id);
+            saveState();
+        }
+
+        function renderStatus(id) {
+            const container = document.getElementById(id);
+            const status = state.statuses[id];
+            container.replaceChildren();
+            if (!status) return;
+
+            const message = document.createElement('div');
+            message.className = status.kind || '';
+            message.textContent = status.text;
+            container.appendChild(message);
+            if (status.code) {
+                const block = document.createElement('div');
+                block.className = 'code-block';
+                block.textContent = status.code;
+                container.appendChild(block);
+            }
+        }
+
+        function setVisible(id, visible) {
+            document.getElementById(id).classList.toggle('hidden', !visible);
+        }
+
+        function updateVisibility() {
+            setVisible('other-provider', document.getElementById('provider').value === 'other');
+            setVisible('next-step-2', Boolean(currentData.keyName));
+            setVisible('test-button', Boolean(currentData.hostAlias));
+            setVisible('complete-button', Boolean(currentData.hostAlias));
+        }
+
+        function showStep(stepNumber) {
+            document.querySelectorAll('.step').forEach(step => step.classList.remove('active'));
+            document.getElementById('step-' + stepNumber).classList.add('active');
+            document.querySelectorAll('.progress-step').forEach((step, index) => {
+                step.classList.remove('active', 'completed');
+                if (index + 1 < stepNumber) step.classList.add('completed');
+                else if (index + 1 === stepNumber) step.classList.add('active');
+            });
+            state.step = stepNumber;
+            saveState();
+        }
+
+        function nextStep(stepNumber) {
+            if (stepNumber === 2) {
+                const identityName = document.getElementById('identityName').value.trim();
+                const username = document.getElementById('username').value.trim();
+                const email = document.getElementById('email').value.trim();
+                const provider = document.getElementById('provider').value;
+                if (!identityName || !username || !email) {
+                    setStatus('identity-status', 'error', 'Please fill in all required fields');
+                    return;
+                }
+                Object.assign(currentData, {
+                    identityName,
+                    username,
+                    email,
+                    provider,
+                    identityId: document.getElementById('identityId').value
+                });
+                if (provider === 'other') {
+                    currentData.hostName = document.getElementById('hostName').value.trim();
+                    currentData.port = document.getElementById('port').value;
+                    currentData.sshUser = document.getElementById('sshUser').value.trim();
+                    if (!currentData.hostName) {
+                        setStatus('identity-status', 'error', 'Please enter the SSH host name of your Git server');
+                        return;
+                    }
+                }
+                setStatus('identity-status');
+            }
+            showStep(stepNumber);
+        }
+
+        const actions = {
+            generateKey() {
+                setStatus('key-generation-status', '', 'Generating SSH key...');
+                currentData.keyType = document.getElementById('keyType').value;
+                currentData.usePassphrase = document.getElementById('usePassphrase').checked;
+                vscode.postMessage({ command: 'generateKey', data: currentData });
+            },
+            copyPublicKey() {
+                vscode.postMessage({ command: 'copyPublicKey', data: { publicKey: currentData.publicKey } });
+            },
+            registerSigningKey() {
+                vscode.postMessage({ command: 'registerSigningKey', data: currentData });
+            },
+            updateSSHConfig() {
+                currentData.addKeysToAgent = document.getElementById('addKeysToAgent').checked;
+                vscode.postMessage({ command: 'updateSSHConfig', data: currentData });
+            },
+            addToAgent() {
+                if (!currentData.keyName) {
+                    setStatus('agent-status', 'error', 'Generate a key first.');
+                    return;
+                }
+                setStatus('agent-status', '', 'Adding key to ssh-agent...');
+                vscode.postMessage({ command: 'addToAgent', data: { keyName: currentData.keyName } });
+            },
+            testConnection() {
+                vscode.postMessage({ command: 'testConnection', data: currentData });
+            },
+            completeWizard() {
+                if (!currentData.keyName || !currentData.hostAlias) {
+                    setStatus('completion-status', 'error', 'Generate a key and update the SSH config first.');
+                    return;
+                }
+                setStatus('completion-status', '', 'Saving identity...');
+                vscode.postMessage({ command: 'closeWizard', data: currentData });
+            }
+        };
+
+        document.addEventListener('click', event => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const action = button.dataset.action;
+            if (action === 'next') nextStep(Number(button.dataset.step));
+            else if (action === 'back') showStep(Number(button.dataset.step));
+            else actions[action]();
+        });
+        document.getElementById('provider').addEventListener('change', updateVisibility);
+        document.addEventListener('input', saveState);
+        document.addEventListener('change', saveState);
+
+        function renderProviderInstructions() {
+            const container = document.getElementById('provider-instructions');
+            container.replaceChildren();
+            const provider = currentData.providerInfo;
+            if (!provider) return;
+
+            const heading = document.createElement('h3');
+            heading.textContent = 'Add to ' + provider.label + ':';
+            const list = document.createElement('ol');
+            const addItem = (...parts) => {
+                const item = document.createElement('li');
+                item.append(...parts);
+                list.appendChild(item);
+            };
+            if (provider.keySettingsUrl) {
+                const link = document.createElement('a');
+                link.href = provider.keySettingsUrl;
+                link.textContent = provider.label + ' SSH Keys Settings';
+                addItem('Go to ', link);
+            } else {
+                addItem('Open the SSH keys page of your ' + provider.label + ' account settings');
+            }
+            addItem('Add a new SSH key');
+            addItem('Give it a title (e.g., "' + currentData.identityName + '")');
+            addItem('Paste the public key above and save it');
+            container.append(heading, list);
+        }
+
+        window.addEventListener('message', event => {
+            const { command, data } = event.data;
+            switch (command) {
+                case 'keyGenerated':
+                    if (data.success) {
+                        currentData.keyName = data.keyName;
+                        currentData.publicKey = data.publicKey;
+                        currentData.providerInfo = data.provider;
+                        const keyStatus = data.reusedExisting
+                            ? '✓ Using the existing key ~/.ssh/' + data.keyName + '.'
+                            : '✓ SSH key ~/.ssh/' + data.keyName + ' generated successfully!';
+                        const keyNote = data.passphraseProtected ? ' The key is protected by a passphrase.' : '';
+                        document.getElementById('publicKeyDisplay').value = data.publicKey;
+                        renderProviderInstructions();
+                        updateVisibility();
+                        setStatus('key-generation-status', 'success', keyStatus + keyNote);
+                    } else {
+                        setStatus('key-generation-status', 'error', 'Error: ' + data.error);
+                    }
+                    break;
+                case 'publicKeyCopied':
+                    if (data.success) setStatus('copy-status', 'success', '✓ Public key copied to clipboard!');
+                    break;
+                case 'signingKeyRegistered':
+                    if (data.success) {
+                        const identityNote = data.identityUpdated
+                            ? 'The "' + currentData.identityName + '" identity now signs its commits with this key.'
+                            : 'Set it as the signingKey of your identity to sign commits with it.';
+                        setStatus('signing-status', 'success', '✓ Signing key added to ' + data.allowedSignersPath + '. ' + identityNote);
+                    } else {
+                        setStatus('signing-status', 'error', 'Error: ' + data.error);
+                    }
+                    break;
+                case 'agentUpdated':
+                    if (data.success) setStatus('agent-status', 'success', '✓ Key added to ssh-agent!');
+                    else setStatus('agent-status', 'error', 'Error: ' + data.error);
+                    break;
+                case 'configUpdated':
+                    if (data.success) {
+                        currentData.hostAlias = data.hostAlias;
+                        updateVisibility();
+                        setStatus('config-status', 'success', '✓ SSH config updated!', 'Clone example: ' + data.cloneExample);
+                    } else {
+                        setStatus('config-status', 'error', 'Error: ' + data.error);
+                    }
+                    break;
+                case 'connectionTested':
+                    if (data.success) setStatus('test-results', 'success', '✓ SSH connection successful!', data.output);
+                    else setStatus('test-results', 'error', 'Connection test failed:', data.output || data.error);
+                    break;
+                case 'wizardCompleted':
+                    if (data.cancelled) setStatus('completion-status');
+                    else setStatus('completion-status', 'error', 'Error: ' + data.error);
+                    break;
+                case 'error':
+                    setStatus('wizard-error', 'error', 'Error: ' + data.error);
+                    break;
+            }
+        });
+
+        // Put back what was entered before the panel was hidden or the window reloaded
+        const identityName = document.getElementById('identityName');
+        if (state.nameLocked) identityName.readOnly = true;
+        state.nameLocked = identityName.readOnly;
+        Object.entries(state.values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (typeof value === 'boolean') element.checked = value;
+            else element.value = value;
+        });
+        document.getElementById('publicKeyDisplay').value = currentData.publicKey || '';
+        Object.keys(state.statuses).forEach(renderStatus);
+        renderProviderInstructions();
+        updateVisibility();
+        showStep(state.step);
+    </script>
+</body>
+</html>`;
+  }
+}
+
+const SWITCH_HISTORY_KEY = 'gitIdentitySwitcher.switchHistory';
+const SWITCH_HISTORY_LIMIT = 20;
+
+function describeIdentityState(values) {
+  const name = values['user.name'];
+  const email = values['user.email'];
+  if (!name && !email) return 'no local identity';
+  return `${name || '(no name)'} <${email || 'no email'}>`;
+}
+
+// Every change the extension makes to a repository's local identity, newest first. Entries keep
+// the local values from before the change so it can be undone.
+class SwitchHistory {
+  constructor(memento) {
+    this.memento = memento;
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+  }
+
+  getEntries(repository) {
+    const entries = this.memento.get(SWITCH_HISTORY_KEY, []);
+    return repository ? entries.filter(entry => entry.repository === path.resolve(repository)) : entries;
+  }
+
+  async record(repository, label, previous, applied, identityId) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      repository: path.resolve(repository),
+      label,
+      identityId,
+      previous,
+      applied,
+      timestamp: Date.now()
+    };
+
+    // Only the newest entries of each repository are kept
+    const counts = {};
+    const entries = [entry, ...this.getEntries()].filter(current => {
+      counts[current.repository] = (counts[current.repository] || 0) + 1;
+      return counts[current.repository] <= SWITCH_HISTORY_LIMIT;
+    });
+    await this.memento.update(SWITCH_HISTORY_KEY, entries);
+    this._onDidChange.fire();
+    return entry;
+  }
+
+  async remove(entry) {
+    await this.memento.update(SWITCH_HISTORY_KEY, this.getEntries().filter(current => current.id !== entry.id));
+    this._onDidChange.fire();
+  }
+
+  async clear() {
+    await this.memento.update(SWITCH_HISTORY_KEY, undefined);
+    this._onDidChange.fire();
+  }
+}
+
+class SwitchHistoryProvider {
+  constructor(history) {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.history = history;
+    history.onDidChange(() => this.refresh());
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.children;
+    }
+
+    const entries = this.history.getEntries();
+    if (entries.length === 0) {
+      const item = new vscode.TreeItem('No identity switches yet', vscode.TreeItemCollapsibleState.None);
+      item.iconPath = new vscode.ThemeIcon('info');
+      return [item];
+    }
+
+    // Repositories in the order of their latest switch; workspace folders start expanded
+    const openFolders = new Set((vscode.workspace.workspaceFolders || []).map(folder => path.resolve(folder.uri.fsPath)));
+    const repositories = new Map();
+    for (const entry of entries) {
+      if (!repositories.has(entry.repository)) {
+        const item = new vscode.TreeItem(
+          path.basename(entry.repository),
+          openFolders.has(entry.repository)
+            ? vscode.TreeItemCollapsibleState.Expanded
+            : vscode.TreeItemCollapsibleState.Collapsed
+        );
+        item.description = path.dirname(entry.repository);
+        item.tooltip = entry.repository;
+        item.iconPath = new vscode.ThemeIcon('repo');
+        item.children = [];
+        repositories.set(entry.repository, item);
+      }
+      repositories.get(entry.repository).children.push(this.createEntryItem(entry));
+    }
+    return [...repositories.values()];
+  }
+
+  createEntryItem(entry) {
+    const item = new vscode.TreeItem(entry.label, vscode.TreeItemCollapsibleState.None);
+    const time = new Date(entry.timestamp).toLocaleString();
+    item.description = time;
+    item.tooltip = `${time}\nBefore: ${describeIdentityState(entry.previous)}\nAfter: ${describeIdentityState(entry.applied)}`;
+    item.iconPath = new vscode.ThemeIcon('history');
+    item.contextValue = 'historyEntry';
+    item.entry = entry;
+    return item;
+  }
+}
+
+const HTTPS_TOKEN_KEY_PREFIX = 'gitIdentitySwitcher.httpsToken.';
+const CREDENTIAL_HELPER_SCRIPT = 'credential-helper.js';
+
+// Serves the HTTPS tokens kept in SecretStorage to git. Repositories switched to an identity with
+// an HTTPS username get credential-helper.js as their credential helper; the script finds this
+// window's server through a file in global storage and asks it over a local socket.
+class HttpsCredentials {
+  constructor(provider, context) {
+    this.provider = provider;
+    this.secrets = context.secrets;
+    this.bundledHelperPath = path.join(context.extensionPath, CREDENTIAL_HELPER_SCRIPT);
+    // Repository configs point at this copy: the extension directory changes with every update
+    this.helperPath = path.join(context.globalStorageUri.fsPath, CREDENTIAL_HELPER_SCRIPT);
+    this.serversDir = path.join(context.globalStorageUri.fsPath, 'credential-servers');
+    this.server = undefined;
+  }
+
+  // The secret holds the token with the hosts it may be sent to, as JSON. Git asks every helper
+  // for every HTTPS host it talks to, submodules and one-off fetches included.
+  async getCredential(identity) {
+    const stored = await this.secrets.get(HTTPS_TOKEN_KEY_PREFIX + getIdentityKey(identity));
+    if (!stored) return undefined;
+    try {
+      const credential = JSON.parse(stored);
+      if (credential && typeof credential.token === 'string') {
+        return { token: credential.token, hosts: Array.isArray(credential.hosts) ? credential.hosts : [] };
+      }
+    } catch (error) {
+      // A bare token without hosts
+    }
+    return { token: stored, hosts: [] };
+  }
+
+  async setToken(identity, token, hosts) {
+    validateSingleLine(token, 'Token');
+    const normalized = [...new Set(hosts.map(host => host.toLowerCase()))];
+    await this.secrets.store(
+      HTTPS_TOKEN_KEY_PREFIX + getIdentityKey(identity),
+      JSON.stringify({ token, hosts: normalized })
+    );
+  }
+
+  // A repository can bring any remote, so its hosts get the token only when the user says so
+  async offerRemoteHosts(cwd, identity) {
+    const credential = await this.getCredential(identity);
+    if (!credential) return;
+    const remoteHosts = (await this.getHttpsRemotes(cwd)).map(remote => remote.host.toLowerCase());
+    const missing = [...new Set(remoteHosts)].filter(host => !credential.hosts.includes(host));
+    if (missing.length === 0) return;
+
+    const allowed = credential.hosts.length > 0 ? credential.hosts.join(', ') : 'no host';
+    const choice = await vscode.window.showWarningMessage(
+      `The HTTPS token of "${identity.name}" is only sent to ${allowed}. ` +
+        `Also send it to ${missing.join(', ')}, the remote ${missing.length === 1 ? 'host' : 'hosts'} of ${path.basename(cwd)}?`,
+      { modal: true },
+      'Send Token'
+    );
+    if (choice !== 'Send Token') return;
+    await this.setToken(identity, credential.token, [...credential.hosts, ...missing]);
+    commandRunner.log(`Allowed the HTTPS token of "${identity.name}" for ${missing.join(', ')}`);
+  }
+
+  async deleteToken(identity) {
+    await this.secrets.delete(HTTPS_TOKEN_KEY_PREFIX + getIdentityKey(identity));
+  }
+
+  installHelper() {
+    const script = fs.readFileSync(this.bundledHelperPath);
+    if (fs.existsSync(this.helperPath) && fs.readFileSync(this.helperPath).equals(script)) return;
+    fs.mkdirSync(path.dirname(this.helperPath), { recursive: true });
+    const tempPath = `${this.helperPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, script);
+    fs.renameSync(tempPath, this.helperPath);
+  }
+
+  // VS Code's own binary runs the script, so it works without Node.js installed
+  getHelperCommand() {
+    return `!ELECTRON_RUN_AS_NODE=1 ${quoteShellArg(toPosixPath(process.execPath))} ` +
+      `${quoteShellArg(toPosixPath(this.helperPath))} ${quoteShellArg(toPosixPath(this.serversDir))}`;
+  }
+
+  // Also matches the command of an older install of the extension
+  isHelperCommand(value) {
+    return value.startsWith('!ELECTRON_RUN_AS_NODE=1 ') && value.includes(CREDENTIAL_HELPER_SCRIPT);
+  }
+
+  // credential.helper is a list. An empty entry before ours drops the helpers from global config,
+  // so a token cached for another account is not served first; local helpers after it stay.
+  async configureRepository(cwd, identity) {
+    const current = await this.getLocalHelpers(cwd);
+    const ours = current.findIndex(value => this.isHelperCommand(value));
+    const others = ours === -1
+      ? current
+      : current.filter((value, index) => index !== ours && !(index === ours - 1 && value === ''));
+    const helpers = identity.httpsUsername ? ['', this.getHelperCommand(), ...others] : others;
+
+    if (identity.httpsUsername) {
+      await this.start();
+    }
+    await this.setLocalHelpers(cwd, helpers, current);
+  }
+
+  async getLocalHelpers(cwd) {
+    const output = await runGit(['config', '--local', '-z', '--get-all', 'credential.helper'], cwd).catch(() => '');
+    return output ? output.split('\0').slice(0, -1) : [];
+  }
+
+  // Also used to put back the helpers an undone switch replaced
+  async setLocalHelpers(cwd, helpers, current) {
+    if (!current) current = await this.getLocalHelpers(cwd);
+    if (helpers.some(value => this.isHelperCommand(value))) {
+      await this.start();
+    }
+    if (JSON.stringify(helpers) === JSON.stringify(current)) return;
+
+    if (current.length > 0) {
+      await runGit(['config', '--local', '--unset-all', 'credential.helper'], cwd);
+    }
+    for (const helper of helpers) {
+      await runGit(['config', '--local', '--add', 'credential.helper', helper], cwd);
+    }
+  }
+
+  // Origin ("https://host[:port]") and host of each HTTPS remote URL
+  async getHttpsRemotes(cwd) {
+    const output = await runGit(['config', '--get-regexp', '^remote\\..*\\.(url|pushurl)$'], cwd).catch(() => '');
+    const remotes = new Map();
+    for (const line of output.split('\n').filter(Boolean)) {
+      const remoteUrl = line.slice(line.indexOf(' ') + 1);
+      if (!/^https?:\/\//i.test(remoteUrl)) continue;
+      try {
+        const url = new URL(remoteUrl);
+        remotes.set(`${url.protocol}//${url.host}`, { origin: `${url.protocol}//${url.host}`, host: url.host });
+      } catch (error) {
+        // Not a URL git can use either
+      }
+    }
+    return [...remotes.values()];
+  }
+
+  // credential.<url>.username for every HTTPS remote only, so other hosts are not offered the
+  // identity's username; URL specific settings also win over ones from global config
+  async getUrlConfig(cwd, identity) {
+    const entries = {};
+    for (const remote of await this.getHttpsRemotes(cwd)) {
+      entries[`credential.${remote.origin}.username`] = identity.httpsUsername || null;
+    }
+    return entries;
+  }
+
+  async startIfNeeded() {
+    if (this.provider.loadIdentities().some(identity => identity.httpsUsername)) {
+      await this.start();
+    }
+  }
+
+  async start() {
+    if (this.server) return;
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const address = process.platform === 'win32'
+      ? `\\\\.\\pipe\\git-identity-switcher-${id}`
+      : path.join(os.tmpdir(), `git-identity-switcher-${id}.sock`);
+    const auth = crypto.randomBytes(32).toString('hex');
+
+    const server = net.createServer(socket => this.handleConnection(socket, auth));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(address, resolve);
+    });
+    this.server = server;
+
+    fs.mkdirSync(this.serversDir, { recursive: true });
+    this.removeStaleServerFiles();
+    this.serverFile = path.join(this.serversDir, `${process.pid}.json`);
+    // The file holds the secret that lets a client in, so only the user may read it
+    fs.writeFileSync(this.serverFile, JSON.stringify({ address, auth }), { mode: 0o600 });
+    commandRunner.log(`Credential helper server listening on ${address}`);
+  }
+
+  // Files of windows that crashed before removing theirs
+  removeStaleServerFiles() {
+    for (const name of fs.readdirSync(this.serversDir)) {
+      const pid = Number(path.basename(name, '.json'));
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') {
+          fs.rmSync(path.join(this.serversDir, name), { force: true });
+        }
+      }
+    }
+  }
+
+  handleConnection(socket, auth) {
+    let input = '';
+    socket.setEncoding('utf8');
+    socket.setTimeout(10000, () => socket.destroy());
+    socket.on('error', () => {});
+    socket.on('data', async chunk => {
+      input += chunk;
+      const newline = input.indexOf('\n');
+      if (newline === -1) return;
+      socket.removeAllListeners('data');
+
+      let response = {};
+      try {
+        const request = JSON.parse(input.slice(0, newline));
+        const valid = typeof request.auth === 'string' && request.auth.length === auth.length &&
+          crypto.timingSafeEqual(Buffer.from(request.auth), Buffer.from(auth));
+        if (valid) {
+          response = await this.handleRequest(request);
+        }
+      } catch (error) {
+        commandRunner.log(`Credential request failed: ${error.message}`);
+      }
+      socket.end(JSON.stringify(response));
+    });
+  }
+
+  async handleRequest({ action, cwd, attributes = {} }) {
+    if (!/^https?$/.test(attributes.protocol || '')) return {};
+
+    const identity = await this.findIdentity(cwd, attributes.username);
+    if (!identity) return {};
+
+    if (action === 'erase') {
+      const credential = await this.getCredential(identity);
+      if (!credential || !credential.hosts.includes(String(attributes.host).toLowerCase())) return {};
+      // Git erases credentials the server rejected
+      commandRunner.log(`${attributes.host} rejected the HTTPS token of "${identity.name}"`);
+      vscode.window.showWarningMessage(
+        `${attributes.host} rejected the HTTPS token of "${identity.name}"`,
+        'Set HTTPS Credentials'
+      ).then(choice => {
+        if (choice) vscode.commands.executeCommand('gitIdentitySwitcher.setHttpsCredentials', identity);
+      });
+      return {};
+    }
+
+    const credential = await this.getCredential(identity);
+    if (!credential) return {};
+    if (!credential.hosts.includes(String(attributes.host).toLowerCase())) {
+      commandRunner.log(`Not sending the HTTPS token of "${identity.name}" to ${attributes.host}, which is not one of its hosts`);
+      return {};
+    }
+    commandRunner.log(`Served the HTTPS token of "${identity.name}" for ${attributes.host}`);
+    return { username: identity.httpsUsername, password: credential.token };
+  }
+
+  // Git passes the username from credential.<url>.username. Identities sharing an HTTPS username
+  // are told apart by the repository's email.
+  async findIdentity(cwd, username) {
+    const identities = this.provider.loadIdentities().filter(identity =>
+      identity.httpsUsername && (!username || identity.httpsUsername === username)
+    );
+    if (identities.length <= 1 && username) return identities[0];
+
+    const email = cwd ? await runGit(['config', 'user.email'], cwd).catch(() => '') : '';
+    return identities.find(identity => identity.email === email);
+  }
+
+  dispose() {
+    if (this.server) {
+      this.server.close();
+      this.server = undefined;
+    }
+    if (this.serverFile) {
+      fs.rmSync(this.serverFile, { force: true });
+      this.serverFile = undefined;
+    }
+  }
+}
+
+// Fields offered by Edit Identity, in the order they are listed
+const IDENTITY_FIELDS = [
+  { key: 'name', label: 'Name', required: true },
+  { key: 'username', label: 'Git Username', required: true },
+  { key: 'email', label: 'Git Email', required: true },
+  { key: 'sshKeyPath', label: 'SSH Key', type: 'sshKey' },
+  { key: 'sshHost', label: 'SSH Host Alias' },
+  { key: 'signingKey', label: 'Signing Key' },
+  { key: 'signingFormat', label: 'Signing Format', options: ['openpgp', 'ssh', 'x509'] },
+  { key: 'signCommits', label: 'Sign Commits', type: 'boolean' },
+  { key: 'httpsUsername', label: 'HTTPS Username' }
+];
+
+class GitIdentityManager {
+  constructor(history, context) {
+    this.provider = new GitIdentityProvider();
+    this.remoteRewriter = new RemoteRewriter();
+    this.history = history;
+    this.credentials = context ? new HttpsCredentials(this.provider, context) : undefined;
+    this._onDidSwitchIdentity = new vscode.EventEmitter();
+    this.onDidSwitchIdentity = this._onDidSwitchIdentity.event;
+  }
+
+  // Resolves the repository that owns the active editor. Without an editor, falls back to the
+  // only workspace folder; in multi-root workspaces it either asks (pick) or uses the first folder.
+  async resolveRepository({ pick = false } = {}) {
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    const editor = vscode.window.activeTextEditor;
+
+    if (editor && editor.document.uri.scheme === 'file') {
+      const workspaceFolder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
+      if (workspaceFolder) {
+        return this.getRepositoryFor(editor.document.uri.fsPath, workspaceFolder);
+      }
+    }
+
+    if (pick && workspaceFolders.length > 1) {
+      return vscode.window.showWorkspaceFolderPick({
+        placeHolder: 'Select the folder to switch identity for'
+      });
+    }
+
+    return workspaceFolders[0];
+  }
+
+  // A file may live in a repository nested inside the workspace folder
+  async getRepositoryFor(filePath, workspaceFolder) {
+    return this.getRepositoryAt(path.dirname(filePath), workspaceFolder);
+  }
+
+  async getRepositoryAt(directory, workspaceFolder) {
+    try {
+      const root = await runGit(['rev-parse', '--show-toplevel'], directory);
+      if (path.resolve(root) === path.resolve(workspaceFolder.uri.fsPath)) {
+        return workspaceFolder;
+      }
+      return { uri: vscode.Uri.file(root), name: path.basename(root), index: workspaceFolder.index };
+    } catch (error) {
+      return workspaceFolder;
+    }
+  }
+
+  // Repository for a file or folder URI passed in from outside, e.g. through the extension API
+  async getRepositoryForUri(uri) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!workspaceFolder) {
+      throw new Error(`${uri.fsPath} is not inside an open workspace folder`);
+    }
+    const stats = await fs.promises.stat(uri.fsPath).catch(() => undefined);
+    return stats && stats.isDirectory()
+      ? this.getRepositoryAt(uri.fsPath, workspaceFolder)
+      : this.getRepositoryFor(uri.fsPath, workspaceFolder);
+  }
+
+  async getCurrentIdentity(workspaceFolder) {
+    if (!workspaceFolder) {
+      workspaceFolder = await this.resolveRepository();
+    }
+    if (!workspaceFolder) {
+      throw new Error('No workspace folder open');
+    }
+
+    const cwd = workspaceFolder.uri.fsPath;
+    // Throws outside a repository; a missing name or email is shown as "Not set"
+    await runGit(['rev-parse', '--git-dir'], cwd);
+    const read = key => runGit(['config', key], cwd).catch(() => '');
+    const username = await read('user.name');
+    const email = await read('user.email');
+    return {
+      username: username || 'Not set',
+      email: email || 'Not set'
+    };
+  }
+
+  // Identity related config values with their scope and origin, in the order git reads them, so
+  // for single-valued keys the last entry wins
+  async readConfigWithOrigins(cwd) {
+    const output = await runGit([
+      'config', '--show-origin', '--show-scope', '-z', '--get-regexp',
+      '^(user\\.(name|email|signingkey)|core\\.sshcommand|remote\\..*\\.(url|pushurl))$'
+    ], cwd).catch(() => '');
+    // Relative origins such as "file:.git/config" are relative to the top of the work tree
+    const root = await runGit(['rev-parse', '--show-toplevel'], cwd).catch(() => cwd);
+
+    // -z output: scope NUL origin NUL key LF value NUL
+    const fields = output.split('\0');
+    const entries = [];
+    for (let i = 0; i + 2 < fields.length; i += 3) {
+      const [scope, origin, pair] = fields.slice(i, i + 3);
+      const newline = pair.indexOf('\n');
+      entries.push({
+        key: newline === -1 ? pair : pair.slice(0, newline),
+        value: newline === -1 ? '' : pair.slice(newline + 1),
+        scope,
+        origin,
+        file: origin.startsWith('file:') ? path.resolve(root, expandHome(origin.slice(5))) : undefined
+      });
+    }
+    return entries;
+  }
+
+  // askForHosts is only for switches the user makes; rules, profiles and other extensions must
+  // not get an HTTPS token sent to new hosts. quiet switches show nothing and throw on failure.
+  async switchIdentity(identity, workspaceFolder, { askForHosts = false, quiet = false } = {}) {
+    if (!vscode.workspace.workspaceFolders?.length) {
+      if (quiet) throw new Error('No workspace folder open');
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+
+    if (!workspaceFolder) {
+      workspaceFolder = await this.resolveRepository({ pick: true });
+      if (!workspaceFolder) return;
+    }
+
+    let previous;
+    let effectiveIdentity;
+    try {
+      ({ previous, effectiveIdentity } = await this.applyIdentity(identity, workspaceFolder));
+    } catch (error) {
+      if (!quiet) showCommandError(`Failed to switch identity: ${error.message}`);
+      throw error;
+    }
+
+    if (this.history) {
+      await this.history.record(
+        workspaceFolder.uri.fsPath,
+        identity.name,
+        previous,
+        this.getIdentityConfig(effectiveIdentity),
+        identity.id
+      ).catch(error => commandRunner.log(`Error recording identity switch: ${error.message}`));
+    }
+    if (quiet) return previous;
+
+    const folderName = path.basename(workspaceFolder.uri.fsPath);
+    vscode.window.showInformationMessage(
+      `Switched to "${identity.name}" for ${folderName}`
+    );
+
+    if (askForHosts && this.credentials && effectiveIdentity.httpsUsername) {
+      await this.credentials.offerRemoteHosts(workspaceFolder.uri.fsPath, effectiveIdentity).catch(error => {
+        commandRunner.log(`Failed to update the HTTPS token hosts of "${identity.name}": ${error.message}`);
+      });
+    }
+
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    if (config.get('rewriteRemotes', 'prompt') === 'prompt') {
+      // Not awaited: the switch itself is done, the rewrite preview is a follow-up question
+      this.remoteRewriter.offer(effectiveIdentity, workspaceFolder).catch(error => {
+        commandRunner.log(`Error offering remote rewrite: ${error.message}`);
+      });
+    }
+
+    return previous;
+  }
+
+  // Writes the identity, with the repository profile's overrides, to the repository's local config.
+  // Every switch goes through here, so this is where onDidSwitchIdentity fires.
+  async applyIdentity(identity, workspaceFolder) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const profile = RepositoryProfile.load(cwd);
+    const effectiveIdentity = profile ? profile.apply(identity) : identity;
+    const config = this.getIdentityConfig(effectiveIdentity);
+    if (this.credentials) {
+      Object.assign(config, await this.credentials.getUrlConfig(cwd, effectiveIdentity));
+    }
+    const helpers = this.credentials ? await this.credentials.getLocalHelpers(cwd) : undefined;
+    const previous = await applyGitConfig(cwd, config);
+    if (this.credentials) {
+      await this.credentials.configureRepository(cwd, effectiveIdentity);
+      // credential.helper is a list, so it is saved next to the single values for undo
+      previous['credential.helper'] = helpers;
+    }
+    this._onDidSwitchIdentity.fire({
+      identity: toPublicIdentity(identity),
+      folder: workspaceFolder.uri
+    });
+    return { previous, effectiveIdentity };
+  }
+
+  // The configured identity with the email of getCurrentIdentity's result; undefined when no
+  // identity has it
+  findIdentityByConfig(current) {
+    const candidates = this.provider.loadIdentities().filter(identity => identity.email === current.email);
+    return candidates.find(candidate => candidate.username === current.username) || candidates[0];
+  }
+
+  async undoLastSwitch() {
+    const repository = await this.resolveRepository({ pick: true });
+    if (!repository) {
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+
+    const [entry] = this.history.getEntries(repository.uri.fsPath);
+    if (!entry) {
+      vscode.window.showInformationMessage(`No identity switch to undo for ${repository.name}`);
+      return;
+    }
+    await this.restoreHistoryEntry(entry, { undo: true });
+  }
+
+  // Puts back the local values from before the entry's switch. Undo drops the entry; restoring an
+  // older state is recorded like a switch, so it can be undone in turn.
+  async restoreHistoryEntry(entry, { undo = false } = {}) {
+    const folderName = path.basename(entry.repository);
+    if (!undo) {
+      const confirm = await vscode.window.showWarningMessage(
+        `Restore ${describeIdentityState(entry.previous)} for ${folderName}, as it was before switching to "${entry.label}"?`,
+        { modal: true },
+        'Restore'
+      );
+      if (confirm !== 'Restore') return;
+    }
+
+    try {
+      // Entries from before credential helpers were saved have no credential.helper
+      const { 'credential.helper': helpers, ...values } = entry.previous;
+      const previous = await applyGitConfig(entry.repository, values);
+      if (helpers && this.credentials) {
+        previous['credential.helper'] = await this.credentials.getLocalHelpers(entry.repository);
+        await this.credentials.setLocalHelpers(entry.repository, helpers, previous['credential.helper']);
+      }
+      if (undo) {
+        await this.history.remove(entry);
+      } else {
+        await this.history.record(entry.repository, `Restored state before "${entry.label}"`, previous, entry.previous);
+      }
+
+      // The restored values may come from no identity, or from one edited since
+      const folder = vscode.Uri.file(entry.repository);
+      const identity = this.findIdentityByConfig(await this.getCurrentIdentity({ uri: folder }));
+      this._onDidSwitchIdentity.fire({ identity: identity && toPublicIdentity(identity), folder });
+      vscode.window.showInformationMessage(`Restored ${describeIdentityState(entry.previous)} for ${folderName}`);
+    } catch (error) {
+      showCommandError(`Failed to restore identity: ${error.message}`);
+    }
+  }
+
+  // Local config written when switching. Settings the identity doesn't declare are unset so
+  // nothing from the previous identity (e.g. its signing key) leaks into the next one.
+  getIdentityConfig(identity) {
+    const signs = Boolean(identity.signingKey);
+    return {
+      'user.name': identity.username,
+      'user.email': identity.email,
+      'user.signingkey': signs ? identity.signingKey : null,
+      'gpg.format': signs ? identity.signingFormat || 'openpgp' : null,
+      'commit.gpgsign': signs ? String(identity.signCommits !== false) : null,
+      'core.sshcommand': identity.sshKeyPath ? buildSshCommand(identity.sshKeyPath) : null
+    };
+  }
+
+  async addIdentity() {
+    const name = await vscode.window.showInputBox({
+      prompt: 'Enter identity name (e.g., "Work", "Personal")',
+      placeHolder: 'Work',
+      validateInput: validateIdentityField
+    });
+
+    if (!name) return;
+
+    const username = await vscode.window.showInputBox({
+      prompt: 'Enter Git username',
+      placeHolder: 'john.doe',
+      validateInput: validateIdentityField
+    });
+
+    if (!username) return;
+
+    const email = await vscode.window.showInputBox({
+      prompt: 'Enter Git email',
+      placeHolder: 'john.doe@company.com',
+      validateInput: validateIdentityField
+    });
+
+    if (!email) return;
+
+    const sshKeyPath = await this.pickSSHKey();
+
+    const storage = await this.provider.pickScope('Where should this identity be stored?');
+    if (!storage) return;
+
+    const identities = this.provider.loadIdentities();
+    
+    // Check for duplicates
+    if (identities.find(id => id.name === name)) {
+      vscode.window.showErrorMessage('Identity with this name already exists');
+      return;
+    }
+
+    const identity = { name, username, email, id: Date.now(), scope: storage.scope };
+    if (storage.scopeFolder) {
+      identity.scopeFolder = storage.scopeFolder;
+    }
+    if (sshKeyPath) {
+      identity.sshKeyPath = sshKeyPath;
+    }
+    identities.push(identity);
+    await this.provider.saveIdentities(identities);
+    this.provider.refresh();
+    
+    vscode.window.showInformationMessage(`Added identity: ${name}`);
+  }
+
+  // Offers the private keys in ~/.ssh that have a matching .pub file. Returns null for "no key"
+  // and undefined when cancelled.
+  async pickSSHKey() {
+    const sshDir = path.join(os.homedir(), '.ssh');
+    let keys = [];
+    try {
+      keys = fs.readdirSync(sshDir)
+        .filter(file => file.endsWith('.pub') && fs.existsSync(path.join(sshDir, file.slice(0, -4))))
+        .map(file => file.slice(0, -4));
+    } catch (error) {
+      // No ~/.ssh directory yet
+    }
+
+    const items = [
+      { label: '$(circle-slash) No SSH key', description: 'Use the default SSH configuration' },
+      ...keys.map(key => ({ label: `$(key) ${key}`, description: `~/.ssh/${key}`, keyPath: `~/.ssh/${key}` })),
+      { label: '$(folder-opened) Browse...', browse: true }
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: 'Select the SSH key this identity pushes with (optional)'
+    });
+    if (!selected) return undefined;
+    if (!selected.keyPath && !selected.browse) return null;
+
+    if (selected.browse) {
+      const uris = await vscode.window.showOpenDialog({
+        defaultUri: vscode.Uri.file(sshDir),
+        canSelectMany: false,
+        openLabel: 'Use Key'
+      });
+      return uris && uris[0] ? uris[0].fsPath : undefined;
+    }
+
+    return selected.keyPath;
+  }
+
+  async rewriteRemotes() {
+    const repository = await this.resolveRepository({ pick: true });
+    if (!repository) {
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+
+    const identities = this.provider.loadIdentities();
+    const currentEmail = await runGit(['config', 'user.email'], repository.uri.fsPath).catch(() => '');
+    let identity = identities.find(id => id.email === currentEmail);
+    if (!identity) {
+      const selected = await vscode.window.showQuickPick(
+        identities.map(id => ({
+          label: id.name,
+          description: id.sshHost ? `Host ${id.sshHost}` : 'Canonical host',
+          identity: id
+        })),
+        { placeHolder: 'Select the identity whose host alias the remotes should use' }
+      );
+      if (!selected) return;
+      identity = selected.identity;
+    }
+
+    await this.remoteRewriter.offer(identity, repository, { manual: true });
+  }
+
+  async editIdentity(identity) {
+    let identityData = identity && identity.identity ? identity.identity : identity;
+    if (!identityData || !identityData.name) {
+      const identities = this.provider.loadIdentities();
+      if (identities.length === 0) {
+        vscode.window.showInformationMessage('No identities configured to edit.');
+        return;
+      }
+      const selected = await vscode.window.showQuickPick(
+        identities.map(id => ({
+          label: id.name,
+          description: `${id.username} <${id.email}>`,
+          identity: id
+        })),
+        { placeHolder: 'Select identity to edit' }
+      );
+      if (!selected) return;
+      identityData = selected.identity;
+    }
+
+    // The tree item may be stale, so edit what is stored now
+    const original = this.provider.loadIdentities()
+      .find(current => getIdentityKey(current) === getIdentityKey(identityData));
+    if (!original) {
+      vscode.window.showErrorMessage(`Identity "${identityData.name}" no longer exists`);
+      return;
+    }
+
+    const edited = await this.editIdentityFields(original);
+    if (!edited) return;
+
+    try {
+      const identities = this.provider.loadIdentities();
+      if (identities.some(other => getIdentityKey(other) !== getIdentityKey(original) && other.name === edited.name)) {
+        vscode.window.showErrorMessage('Identity with this name already exists');
+        return;
+      }
+
+      // Identities from older versions have no id yet. Giving them one keeps mappings and history
+      // pointing at the identity whatever it is called.
+      if (edited.id === undefined) {
+        edited.id = Date.now();
+      }
+
+      const renamed = edited.name !== original.name;
+      const repositories = await this.findRepositoriesUsing(original);
+      if (renamed && !(await this.renameIdentityResources(original, edited))) {
+        return;
+      }
+
+      await this.provider.saveIdentities(identities.map(current =>
+        getIdentityKey(current) === getIdentityKey(original) ? edited : current
+      ));
+      this.provider.refresh();
+      const updatedRules = renamed ? await this.updateRuleReferences(original.name, edited.name) : 0;
+
+      // Repositories switched to the identity get its new values
+      const failed = [];
+      const configChanged = JSON.stringify(this.getIdentityConfig(original)) !==
+        JSON.stringify(this.getIdentityConfig(edited));
+      if (configChanged) {
+        for (const repository of repositories) {
+          await this.applyIdentity(edited, repository).catch(error => {
+            failed.push(`${repository.name}: ${error.message}`);
+          });
+        }
+      }
+
+      const notes = [];
+      if (configChanged && repositories.length > failed.length) {
+        const count = repositories.length - failed.length;
+        notes.push(`re-applied to ${count} ${count === 1 ? 'repository' : 'repositories'}`);
+      }
+      if (updatedRules > 0) {
+        notes.push(`${updatedRules} identity ${updatedRules === 1 ? 'rule' : 'rules'} updated`);
+      }
+      vscode.window.showInformationMessage(
+        `Updated identity: ${edited.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+      );
+      if (failed.length > 0) {
+        showCommandError(`Failed to re-apply "${edited.name}" to ${failed.join('; ')}`);
+      }
+    } catch (error) {
+      showCommandError(`Failed to edit identity: ${error.message}`);
+    }
+  }
+
+  // Lists every field with its value; picking a field edits it. Returns the edited copy on Save
+  // and undefined when the form is dismissed.
+  async editIdentityFields(identity) {
+    const draft = { ...identity };
+
+    for (;;) {
+      const items = IDENTITY_FIELDS.map(field => ({
+        label: field.label,
+        description: this.formatIdentityField(draft, field),
+        field
+      }));
+      items.push(
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        { label: '$(check) Save', save: true }
+      );
+
+      const selected = await vscode.window.showQuickPick(items, {
+        title: `Edit Identity: ${identity.name}`,
+        placeHolder: 'Select a field to change it, then Save'
+      });
+      if (!selected) return undefined;
+      if (selected.save) return draft;
+
+      const value = await this.editIdentityField(draft, selected.field);
+      if (value === null) {
+        delete draft[selected.field.key];
+      } else if (value !== undefined) {
+        draft[selected.field.key] = value;
+      }
+    }
+  }
+
+  formatIdentityField(identity, field) {
+    const value = identity[field.key];
+    if (value === undefined || value === '') return 'Not set';
+    if (field.type === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  }
+
+  // Returns the new value, null to clear the field or undefined to leave it unchanged
+  async editIdentityField(identity, field) {
+    if (field.type === 'sshKey') {
+      return this.pickSSHKey();
+    }
+
+    if (field.type === 'boolean' || field.options) {
+      const options = field.options
+        ? field.options.map(option => ({ label: option, value: option }))
+        : [{ label: 'Yes', value: true }, { label: 'No', value: false }];
+      const selected = await vscode.window.showQuickPick(
+        [...options, { label: 'Not set', value: null }],
+        { placeHolder: field.label }
+      );
+      return selected ? selected.value : undefined;
+    }
+
+    const value = await vscode.window.showInputBox({
+      prompt: field.label,
+      value: identity[field.key] || '',
+      validateInput: input => {
+        if (field.required && !input.trim()) return `${field.label} is required`;
+        return validateIdentityField(input);
+      }
+    });
+    if (value === undefined) return undefined;
+    return value.trim() || null;
+  }
+
+  // Workspace folders whose local config was switched to the identity
+  async findRepositoriesUsing(identity) {
+    const repositories = [];
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const email = await runGit(['config', '--local', '--get', 'user.email'], folder.uri.fsPath).catch(() => '');
+      if (email && email === identity.email) {
+        repositories.push(folder);
+      }
+    }
+    return repositories;
+  }
+
+  // Key files and Host aliases created by the SSH wizard are named after the identity. Offers to
+  // rename them along with it, and always moves the managed Host blocks over to the new name.
+  // Returns false when the user cancels the edit.
+  async renameIdentityResources(original, edited) {
+    const oldKeySlug = slugify(original.name, '_');
+    const newKeySlug = slugify(edited.name, '_');
+    let keyRename;
+    if (edited.sshKeyPath === original.sshKeyPath && oldKeySlug && newKeySlug) {
+      const keyPath = original.sshKeyPath ? expandHome(original.sshKeyPath) : getLegacyKeyPath(original.name);
+      const keyName = path.basename(keyPath);
+      let target;
+      if (!original.sshKeyPath) {
+        target = getLegacyKeyPath(edited.name);
+      } else if (keyName.endsWith(`_${oldKeySlug}`)) {
+        target = path.join(path.dirname(keyPath), keyName.slice(0, -oldKeySlug.length) + newKeySlug);
+      }
+      if (target && target !== keyPath && fs.existsSync(keyPath) &&
+          !fs.existsSync(target) && !fs.existsSync(`${target}.pub`)) {
+        keyRename = { from: keyPath, to: target };
+      }
+    }
+
+    const sshConfig = SSHConfig.load();
+    const oldAliasSlug = slugify(original.name, '-');
+    const newAliasSlug = slugify(edited.name, '-');
+    const hosts = sshConfig.getManagedHosts()
+      .filter(host => host.owner === original.name)
+      .map(host => {
+        let alias = host.alias;
+        if (oldAliasSlug && newAliasSlug && host.alias.endsWith(`-${oldAliasSlug}`)) {
+          const candidate = host.alias.slice(0, -oldAliasSlug.length) + newAliasSlug;
+          if (!sshConfig.findHost(candidate)) alias = candidate;
+        }
+        return { ...host, newAlias: alias };
+      });
+
+    const changes = [];
+    if (keyRename) {
+      changes.push(`SSH key: ${path.basename(keyRename.from)} → ${path.basename(keyRename.to)}`);
+    }
+    for (const host of hosts.filter(current => current.newAlias !== current.alias)) {
+      changes.push(`Host ${host.alias} → ${host.newAlias} (${host.alias} keeps working)`);
+    }
+
+    let renameFiles = false;
+    if (changes.length > 0) {
+      const choice = await vscode.window.showInformationMessage(
+        `Rename the SSH key and host alias of "${original.name}" too?`,
+        { modal: true, detail: changes.join('\n') },
+        'Rename',
+        'Keep Names'
+      );
+      if (!choice) return false;
+      renameFiles = choice === 'Rename';
+    }
+
+    const renamePath = (value, from, to) => {
+      if (!value) return value;
+      const expanded = expandHome(value);
+      for (const suffix of ['', '.pub']) {
+        if (expanded === `${from}${suffix}`) {
+          return toPosixPath(path.join(path.dirname(value), `${path.basename(to)}${suffix}`));
+        }
+      }
+      return value;
+    };
+
+    if (renameFiles && keyRename) {
+      fs.renameSync(keyRename.from, keyRename.to);
+      if (fs.existsSync(`${keyRename.from}.pub`)) {
+        fs.renameSync(`${keyRename.from}.pub`, `${keyRename.to}.pub`);
+      }
+      if (edited.sshKeyPath) {
+        edited.sshKeyPath = renamePath(edited.sshKeyPath, keyRename.from, keyRename.to);
+      }
+      edited.signingKey = renamePath(edited.signingKey, keyRename.from, keyRename.to);
+    }
+
+    const changedConfigs = new Set();
+    for (const host of hosts) {
+      const alias = renameFiles ? host.newAlias : host.alias;
+      host.config.renameHost(host.section, alias, edited.name);
+      if (renameFiles && keyRename && host.identityFile) {
+        const identityFile = renamePath(host.identityFile, keyRename.from, keyRename.to);
+        if (identityFile !== host.identityFile) host.config.set(host.section, 'IdentityFile', identityFile);
+      }
+      if (edited.sshHost === host.alias) {
+        edited.sshHost = alias;
+      }
+      changedConfigs.add(host.config);
+    }
+    for (const config of changedConfigs) {
+      config.save();
+    }
+    return true;
+  }
+
+  // Hand-written rules usually refer to their identity by name
+  async updateRuleReferences(oldName, newName) {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    const inspected = config.inspect('rules') || {};
+    const targets = [
+      [inspected.globalValue, vscode.ConfigurationTarget.Global],
+      [inspected.workspaceValue, vscode.ConfigurationTarget.Workspace]
+    ];
+
+    let updated = 0;
+    for (const [rules, target] of targets) {
+      if (!Array.isArray(rules) || !rules.some(rule => rule.identity === oldName)) continue;
+      await config.update('rules', rules.map(rule => {
+        if (rule.identity !== oldName) return rule;
+        updated++;
+        return { ...rule, identity: newName };
+      }), target);
+    }
+    return updated;
+  }
+
+  async moveIdentity(identity) {
+    let identityData = identity && identity.identity ? identity.identity : identity;
+    if (!identityData || !identityData.name) {
+      const identities = this.provider.loadIdentities();
+      if (identities.length === 0) {
+        vscode.window.showInformationMessage('No identities configured to move.');
+        return;
+      }
+      const selected = await vscode.window.showQuickPick(
+        identities.map(id => ({
+          label: id.name,
+          description: `${id.username} <${id.email}> · ${this.provider.getScopeLabel(id)}`,
+          identity: id
+        })),
+        { placeHolder: 'Select identity to move' }
+      );
+      if (!selected) return;
+      identityData = selected.identity;
+    }
+
+    const storage = await this.provider.pickScope(
+      `Move "${identityData.name}" from ${this.provider.getScopeLabel(identityData)} settings to...`,
+      identityData
+    );
+    if (!storage) {
+      if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showInformationMessage('Open a workspace to store identities outside your user settings.');
+      }
+      return;
+    }
+
+    try {
+      const identities = this.provider.loadIdentities().map(current => {
+        if (getIdentityKey(current) !== getIdentityKey(identityData)) return current;
+        const moved = { ...current, scope: storage.scope };
+        delete moved.scopeFolder;
+        if (storage.scopeFolder) moved.scopeFolder = storage.scopeFolder;
+        return moved;
+      });
+      await this.provider.saveIdentities(identities);
+      this.provider.refresh();
+      vscode.window.showInformationMessage(
+        `Moved "${identityData.name}" to ${this.provider.getScopeLabel(storage)} settings`
+      );
+    } catch (error) {
+      showCommandError(`Failed to move identity: ${error.message}`);
+    }
+  }
+
+  async deleteIdentity(identity) {
+    // Handle both TreeItem (from context menu) and identity data (from command palette)
+    let identityData = identity;
+    if (identity.identity) {
+      // This is a TreeItem from context menu, extract the identity data
+      identityData = identity.identity;
+    }
+    
+    if (!identityData || !identityData.name) {
+      vscode.window.showErrorMessage('Invalid identity object for deletion');
+      return;
+    }
+    
+    const confirm = await vscode.window.showWarningMessage(
+      `Delete identity "${identityData.name}"?`,
+      'Delete',
+      'Cancel'
+    );
+
+    if (confirm === 'Delete') {
+      try {
+        const identities = this.provider.loadIdentities();
+        const filtered = identities.filter(id => getIdentityKey(id) !== getIdentityKey(identityData));
+        
+        await this.provider.saveIdentities(filtered);
+        this.provider.refresh();
+        if (this.credentials) {
+          await this.credentials.deleteToken(identityData);
+        }
+        
+        vscode.window.showInformationMessage(`Deleted identity: ${identityData.name}`);
+      } catch (error) {
+        commandRunner.log(`Error deleting identity: ${error.message}`);
+        showCommandError(`Failed to delete identity: ${error.message}`);
+      }
+    }
+  }
+
+  // The token goes to SecretStorage, the HTTPS username to settings like the other fields.
+  // Repositories switched to the identity get the credential helper right away.
+  async setHttpsCredentials(identity) {
+    let identityData = identity && identity.identity ? identity.identity : identity;
+    if (!identityData) {
+      const selected = await vscode.window.showQuickPick(
+        this.provider.loadIdentities().map(id => ({
+          label: id.name,
+          description: `${id.username} <${id.email}>`,
+          identity: id
+        })),
+        { placeHolder: 'Select identity to set HTTPS credentials for' }
+      );
+      if (!selected) return;
+      identityData = selected.identity;
+    }
+
+    const original = this.provider.loadIdentities()
+      .find(current => getIdentityKey(current) === getIdentityKey(identityData));
+    if (!original) {
+      vscode.window.showErrorMessage(`Identity "${identityData.name}" no longer exists`);
+      return;
+    }
+
+    const httpsUsername = await vscode.window.showInputBox({
+      prompt: `HTTPS username for "${original.name}", as used to sign in to the Git host`,
+      value: original.httpsUsername || original.username,
+      ignoreFocusOut: true,
+      validateInput: input => (input.trim() ? validateIdentityField(input) : 'HTTPS username is required')
+    });
+    if (httpsUsername === undefined) return;
+
+    const stored = await this.credentials.getCredential(original);
+    const hasToken = Boolean(stored);
+    const token = await vscode.window.showInputBox({
+      prompt: hasToken
+        ? `Personal access token for "${original.name}" (leave empty to keep the stored token)`
+        : `Personal access token for "${original.name}"`,
+      password: true,
+      ignoreFocusOut: true,
+      validateInput: input => {
+        if (!input && !hasToken) return 'Token is required';
+        return validateIdentityField(input);
+      }
+    });
+    if (token === undefined) return;
+
+    // The token is only sent to these hosts; switching a repository adds its HTTPS remotes
+    const repositories = await this.findRepositoriesUsing(original);
+    const suggestedHosts = new Set(stored ? stored.hosts : []);
+    for (const repository of repositories) {
+      for (const remote of await this.credentials.getHttpsRemotes(repository.uri.fsPath)) {
+        suggestedHosts.add(remote.host.toLowerCase());
+      }
+    }
+    const hostsInput = await vscode.window.showInputBox({
+      prompt: `Hosts the token of "${original.name}" may be sent to, separated by commas`,
+      placeHolder: 'github.com, gitlab.acme-corp.com',
+      value: [...suggestedHosts].join(', '),
+      ignoreFocusOut: true,
+      validateInput: input => {
+        const hosts = input.split(/[\s,]+/).filter(Boolean);
+        if (hosts.length === 0) return 'Enter at least one host';
+        const invalid = hosts.find(host => !/^[A-Za-z0-9_][A-Za-z0-9._-]*(:\d{1,5})?$/.test(host));
+        return invalid ? `Invalid host: ${invalid}` : undefined;
+      }
+    });
+    if (hostsInput === undefined) return;
+
+    try {
+      const edited = { ...original, httpsUsername: httpsUsername.trim() };
+      if (edited.id === undefined) {
+        edited.id = Date.now();
+      }
+      await this.credentials.setToken(edited, token || stored.token, hostsInput.split(/[\s,]+/).filter(Boolean));
+      if (getIdentityKey(edited) !== getIdentityKey(original)) {
+        await this.credentials.deleteToken(original);
+      }
+
+      if (edited.httpsUsername !== original.httpsUsername || edited.id !== original.id) {
+        const identities = this.provider.loadIdentities();
+        await this.provider.saveIdentities(identities.map(current =>
+          getIdentityKey(current) === getIdentityKey(original) ? edited : current
+        ));
+        this.provider.refresh();
+      }
+
+      const failed = [];
+      for (const repository of repositories) {
+        await this.applyIdentity(edited, repository).catch(error => {
+          failed.push(`${repository.name}: ${error.message}`);
+        });
+      }
+
+      vscode.window.showInformationMessage(`Saved HTTPS credentials for ${edited.name}`);
+      if (failed.length > 0) {
+        showCommandError(`Failed to re-apply "${edited.name}" to ${failed.join('; ')}`);
+      }
+    } catch (error) {
+      showCommandError(`Failed to save HTTPS credentials: ${error.message}`);
+    }
+  }
+
+  async copyPublicKey(identity) {
+    // Handle both TreeItem (from context menu) and identity data (from command palette)
+    let identityData = identity;
+    if (identity.identity) {
+      // This is a TreeItem from context menu, extract the identity data
+      identityData = identity.identity;
+    }
+    
+    if (!identityData || !identityData.name) {
+      vscode.window.showErrorMessage('Invalid identity object for copying SSH key');
+      return;
+    }
+    
+    const publicKeyPath = getPublicKeyPath(identityData);
+    
+    try {
+      if (fs.existsSync(publicKeyPath)) {
+        const publicKey = fs.readFileSync(publicKeyPath, 'utf8').trim();
+        await vscode.env.clipboard.writeText(publicKey);
+        vscode.window.showInformationMessage(`SSH public key copied to clipboard for ${identityData.name}`);
+      } else {
+        vscode.window.showErrorMessage(`SSH key not found for ${identityData.name} (${publicKeyPath}). Run SSH wizard first.`);
+      }
+    } catch (error) {
+      showCommandError(`Failed to copy SSH key: ${error.message}`);
+    }
+  }
+}
+
+class RemoteRewriter {
+  async getRemotes(cwd) {
+    const output = await runGit(['config', '--local', '--get-regexp', '^remote\\..*\\.(url|pushurl)$'], cwd)
+      .catch(() => '');
+    return output.split('\n').filter(Boolean).map(line => {
+      const [key, url] = line.split(/\s+/, 2);
+      const match = /^remote\.(.*)\.(url|pushurl)$/.exec(key);
+      return { name: match[1], push: match[2] === 'pushurl', url };
+    });
+  }
+
+  // An identity with an sshHost alias gets remotes pointing at the same server rewritten to the
+  // alias; an identity without one gets aliased remotes rewritten back to the canonical host
+  getRewrittenUrl(remoteUrl, identity, hostNames) {
+    const remote = parseSshRemote(remoteUrl);
+    if (!remote) return undefined;
+
+    const canonical = host => hostNames[host] || host;
+    let targetHost;
+    if (identity.sshHost) {
+      if (canonical(remote.host) !== canonical(identity.sshHost)) return undefined;
+      targetHost = identity.sshHost;
+    } else {
+      targetHost = canonical(remote.host);
+    }
+
+    if (targetHost === remote.host) return undefined;
+    return `${remote.prefix}${targetHost}${remote.rest}`;
+  }
+
+  async getRewrites(identity, cwd) {
+    const hostNames = SSHConfig.load().getHostNames();
+    const remotes = await this.getRemotes(cwd);
+    return remotes
+      .map(remote => ({ ...remote, newUrl: this.getRewrittenUrl(remote.url, identity, hostNames) }))
+      .filter(remote => remote.newUrl);
+  }
+
+  async setUrl(cwd, remote, newUrl, oldUrl) {
+    const args = ['remote', 'set-url'];
+    if (remote.push) args.push('--push');
+    args.push(remote.name, newUrl, `^${escapeRegExp(oldUrl)}$`);
+    await runGit(args, cwd);
+  }
+
+  async apply(cwd, rewrites) {
+    const applied = [];
+    try {
+      for (const rewrite of rewrites) {
+        await this.setUrl(cwd, rewrite, rewrite.newUrl, rewrite.url);
+        applied.push(rewrite);
+      }
+    } catch (error) {
+      await this.undo(cwd, applied);
+      throw error;
+    }
+    return applied;
+  }
+
+  async undo(cwd, rewrites) {
+    for (const rewrite of [...rewrites].reverse()) {
+      await this.setUrl(cwd, rewrite, rewrite.url, rewrite.newUrl).catch(error => {
+        commandRunner.log(`Error restoring remote URL: ${error.message}`);
+      });
+    }
+  }
+
+  // Shows the proposed rewrites, applies the ones the user keeps selected and offers an undo
+  async offer(identity, workspaceFolder, { manual = false } = {}) {
+    const cwd = workspaceFolder.uri.fsPath;
+    const rewrites = await this.getRewrites(identity, cwd);
+    if (rewrites.length === 0) {
+      if (manual) {
+        vscode.window.showInformationMessage(`The remotes of ${workspaceFolder.name} already match "${identity.name}"`);
+      }
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      rewrites.map(rewrite => ({
+        label: `$(repo) ${rewrite.name}`,
+        description: rewrite.push ? 'push URL' : 'URL',
+        detail: `${rewrite.url} → ${rewrite.newUrl}`,
+        picked: true,
+        rewrite
+      })),
+      {
+        canPickMany: true,
+        placeHolder: `Rewrite remotes of ${workspaceFolder.name} for "${identity.name}"?`
+      }
+    );
+    if (!selected || selected.length === 0) return;
+
+    try {
+      const applied = await this.apply(cwd, selected.map(item => item.rewrite));
+      const choice = await vscode.window.showInformationMessage(
+        `Rewrote ${applied.length} remote URL${applied.length === 1 ? '' : 's'} in ${workspaceFolder.name}`,
+        'Undo'
+      );
+      if (choice === 'Undo') {
+        await this.undo(cwd, applied);
+        vscode.window.showInformationMessage(`Restored the remotes of ${workspaceFolder.name}`);
+      }
+    } catch (error) {
+      showCommandError(`Failed to rewrite remotes: ${error.message}`);
+    }
+  }
+}
+
+// Proposes identities from what is already configured on the machine so new users don't have
+// to type them in: global/system git config, includeIf targets, recent commit authors and SSH keys
+class IdentityImporter {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  async readIdentityConfig(scopeArgs, cwd = os.homedir()) {
+    const read = key => runGit(['config', ...scopeArgs, '--get', key], cwd).catch(() => '');
+    const [username, email, signingKey, signingFormat, sshCommand] = await Promise.all([
+      read('user.name'),
+      read('user.email'),
+      read('user.signingkey'),
+      read('gpg.format'),
+      read('core.sshCommand')
+    ]);
+
+    const identity = { username, email };
+    if (signingKey) {
+      identity.signingKey = signingKey;
+      if (signingFormat) identity.signingFormat = signingFormat;
+    }
+    const keyMatch = /(?:^|\s)-i\s*(?:'([^']*)'|"([^"]*)"|(\S+))/.exec(sshCommand);
+    if (keyMatch) {
+      identity.sshKeyPath = keyMatch[1] || keyMatch[2] || keyMatch[3];
+    }
+    return identity;
+  }
+
+  async discoverIncludeIfIdentities() {
+    const output = await runGit(
+      ['config', '--global', '--show-origin', '--get-regexp', '^includeif\\..*\\.path$'],
+      os.homedir()
+    ).catch(() => '');
+
+    const identities = [];
+    for (const line of output.split('\n').filter(Boolean)) {
+      const match = /^file:(.*?)\t(includeif\.(.*)\.path) (.*)$/i.exec(line);
+      if (!match) continue;
+      const [, origin, , condition, includePath] = match;
+
+      const expanded = expandHome(includePath);
+      const file = path.isAbsolute(expanded) ? expanded : path.join(path.dirname(origin), expanded);
+      if (!fs.existsSync(file)) continue;
+
+      const identity = await this.readIdentityConfig(['--file', file]);
+      const folder = condition.replace(/^[a-z/]+:/i, '').split('/').filter(segment => segment && !/[*?]/.test(segment)).pop();
+      const fallback = path.basename(file).replace(/^\.?gitconfig[-_.]?/, '') || path.basename(file);
+      identity.name = capitalize(folder || fallback);
+      identity.source = `includeIf "${condition}"`;
+      identities.push(identity);
+    }
+    return identities;
+  }
+
+  async discoverCommitAuthors(token) {
+    const authors = [];
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const output = await runGit(['log', '-n', '200', '--format=%an%x1f%ae'], folder.uri.fsPath, { token })
+        .catch(() => '');
+      for (const line of output.split('\n').filter(Boolean)) {
+        const [username, email] = line.split('\x1f');
+        authors.push({ name: username, username, email, source: `Commit author in ${folder.name}` });
+      }
+    }
+    return authors;
+  }
+
+  // Maps the email in each public key's comment to the key, and to a Host alias that uses it
+  discoverKeys() {
+    const keys = {};
+    const addKey = (keyPath, hostAlias) => {
+      const publicKeyPath = `${expandHome(keyPath)}.pub`;
+      if (!fs.existsSync(publicKeyPath)) return;
+      const comment = fs.readFileSync(publicKeyPath, 'utf8').trim().split(/\s+/).slice(2).join(' ');
+      if (!comment.includes('@')) return;
+      const email = comment.toLowerCase();
+      if (!keys[email] || (hostAlias && !keys[email].sshHost)) {
+        keys[email] = { sshKeyPath: keyPath, sshHost: hostAlias };
+      }
+    };
+
+    for (const config of SSHConfig.load().getAllConfigs()) {
+      for (const section of config.sections) {
+        const identityFile = config.get(section, 'identityfile');
+        const alias = config.getPatterns(section).find(pattern => !/[*?!]/.test(pattern));
+        if (identityFile && alias) addKey(identityFile, alias);
+      }
+    }
+
+    const sshDir = path.join(os.homedir(), '.ssh');
+    try {
+      for (const file of fs.readdirSync(sshDir)) {
+        if (file.endsWith('.pub')) addKey(`~/.ssh/${file.slice(0, -4)}`);
+      }
+    } catch (error) {
+      // No ~/.ssh directory
+    }
+    return keys;
+  }
+
+  async discover(token) {
+    const globalIdentity = await this.readIdentityConfig(['--global']);
+    globalIdentity.name = 'Global';
+    globalIdentity.source = 'Global git config';
+    const systemIdentity = await this.readIdentityConfig(['--system']);
+    systemIdentity.name = 'System';
+    systemIdentity.source = 'System git config';
+
+    const found = [
+      globalIdentity,
+      systemIdentity,
+      ...(await this.discoverIncludeIfIdentities()),
+      ...(await this.discoverCommitAuthors(token))
+    ];
+    if (token && token.isCancellationRequested) return undefined;
+
+    const keys = this.discoverKeys();
+    // Hand-written identities may lack an email
+    const known = new Set(this.provider.loadIdentities()
+      .map(identity => (identity.email || '').toLowerCase())
+      .filter(Boolean));
+    const candidates = new Map();
+    for (const identity of found) {
+      if (!identity.username || !identity.email) continue;
+      const email = identity.email.toLowerCase();
+      if (known.has(email) || candidates.has(email)) continue;
+
+      const key = keys[email];
+      if (key) {
+        identity.sshKeyPath = identity.sshKeyPath || key.sshKeyPath;
+        if (key.sshHost) identity.sshHost = key.sshHost;
+      }
+      candidates.set(email, identity);
+    }
+    return [...candidates.values()];
+  }
+
+  async run() {
+    let candidates;
+    try {
+      candidates = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Looking for Git identities...', cancellable: true },
+        (progress, token) => this.discover(token)
+      );
+    } catch (error) {
+      showCommandError(`Failed to discover identities: ${error.message}`);
+      return;
+    }
+    if (!candidates) return;
+
+    if (candidates.length === 0) {
+      vscode.window.showInformationMessage('No new identities found in your Git and SSH configuration');
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      candidates.map(candidate => ({
+        label: candidate.name,
+        description: `${candidate.username} <${candidate.email}>`,
+        detail: [
+          candidate.source,
+          candidate.sshKeyPath && `$(key) ${candidate.sshKeyPath}`,
+          candidate.sshHost && `Host ${candidate.sshHost}`,
+          candidate.signingKey && `$(verified) ${candidate.signingKey}`
+        ].filter(Boolean).join(' · '),
+        // Commit authors are often colleagues, so only configured identities are preselected
+        picked: !candidate.source.startsWith('Commit author'),
+        candidate
+      })),
+      { canPickMany: true, placeHolder: 'Select the identities to add' }
+    );
+    if (!selected || selected.length === 0) return;
+
+    const identities = this.provider.loadIdentities();
+    const names = new Set(identities.map(identity => identity.name));
+    let id = Date.now();
+    for (const { candidate } of selected) {
+      const { source, ...identity } = candidate;
+      let name = identity.name;
+      for (let suffix = 2; names.has(name); suffix++) {
+        name = `${identity.name} ${suffix}`;
+      }
+      names.add(name);
+      identities.push({ ...identity, name, id: id++ });
+    }
+
+    await this.provider.saveIdentities(identities);
+    this.provider.refresh();
+    vscode.window.showInformationMessage(
+      `Imported ${selected.length} identit${selected.length === 1 ? 'y' : 'ies'}`
+    );
+  }
+}
+
+const INCLUDE_FILES_DIR = path.join(os.homedir(), '.config', 'git-identity-switcher');
+
+// Assigns identities to directory trees through [includeIf "gitdir:..."] sections in the global
+// gitconfig, so every repository below the directory picks up the identity, even outside VS Code.
+// The mappings setting is the source of truth; the include files and sections are derived from it.
+class DirectoryMappingProvider {
+  constructor(manager) {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.manager = manager;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren() {
+    const mappings = this.loadMappings();
+    if (mappings.length === 0) {
+      return [new vscode.TreeItem('No directory mappings', vscode.TreeItemCollapsibleState.None)];
+    }
+
+    return mappings.map(mapping => {
+      const identity = this.manager.provider.findGlobalIdentity(mapping.identity);
+      const item = new vscode.TreeItem(mapping.directory, vscode.TreeItemCollapsibleState.None);
+      item.description = identity ? identity.name : `Unknown identity: ${mapping.identity}`;
+      item.tooltip = identity
+        ? `Repositories under ${mapping.directory} use ${identity.username} <${identity.email}>`
+        : 'The identity of this mapping is not in your user settings';
+      item.iconPath = new vscode.ThemeIcon(identity ? 'folder' : 'warning');
+      item.contextValue = 'directoryMapping';
+      item.mapping = mapping;
+      return item;
+    });
+  }
+
+  // Mappings change the global gitconfig, so workspace settings have no say in them
+  loadMappings() {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    const inspected = config.inspect('directoryMappings') || {};
+    return inspected.globalValue || [];
+  }
+
+  saveMappings(mappings) {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    return config.update('directoryMappings', mappings, vscode.ConfigurationTarget.Global);
+  }
+
+  // gitdir patterns only match a whole tree with a trailing slash
+  getCondition(directory) {
+    let gitdir = toPosixPath(directory);
+    if (!gitdir.endsWith('/')) gitdir += '/';
+    return `${process.platform === 'win32' ? 'gitdir/i' : 'gitdir'}:${gitdir}`;
+  }
+
+  // Identities written by hand may have no id; their names can slug to the same text, so a hash
+  // of the name keeps the files apart
+  getIncludePath(identity) {
+    const fileKey = identity.id !== undefined
+      ? slugify(String(identity.id), '-')
+      : [slugify(identity.name, '-'), crypto.createHash('sha256').update(identity.name).digest('hex').slice(0, 8)]
+        .filter(Boolean).join('-');
+    return `~/.config/git-identity-switcher/identity-${fileKey}.gitconfig`;
+  }
+
+  async writeIncludeFile(identity) {
+    const target = expandHome(this.getIncludePath(identity));
+    const tempPath = `${target}.${process.pid}.tmp`;
+    fs.mkdirSync(INCLUDE_FILES_DIR, { recursive: true });
+    fs.writeFileSync(
+      tempPath,
+      `# Generated by Git Identity Switcher for "${identity.name}". Manual changes are overwritten.\n`
+    );
+
+    // Let git do the quoting of the values
+    for (const [key, value] of Object.entries(this.manager.getIdentityConfig(identity))) {
+      if (value !== null) {
+        await runGit(['config', '--file', tempPath, key, value], os.homedir());
+      }
+    }
+    const credentials = this.manager.credentials;
+    if (credentials && identity.httpsUsername) {
+      for (const helper of ['', credentials.getHelperCommand()]) {
+        await runGit(['config', '--file', tempPath, '--add', 'credential.helper', helper], os.homedir());
+      }
+    }
+
+    const content = fs.readFileSync(tempPath, 'utf8');
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === content) {
+      fs.unlinkSync(tempPath);
+    } else {
+      fs.renameSync(tempPath, target);
+    }
+  }
+
+  async readManagedIncludes() {
+    const output = await runGit(
+      ['config', '--global', '--get-regexp', '^includeif\\..*\\.path$'],
+      os.homedir()
+    ).catch(() => '');
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const separator = line.indexOf(' ');
+      const key = line.slice(0, separator);
+      return { condition: key.slice('includeif.'.length, -'.path'.length), includePath: line.slice(separator + 1) };
+    }).filter(include => path.resolve(expandHome(include.includePath)).startsWith(INCLUDE_FILES_DIR + path.sep));
+  }
+
+  async removeInclude(include) {
+    const key = `includeIf.${include.condition}.path`;
+    await runGit(['config', '--global', '--unset-all', key, `^${escapeRegExp(include.includePath)}$`], os.homedir());
+    const remaining = await runGit(['config', '--global', '--get-all', key], os.homedir()).catch(() => '');
+    if (!remaining) {
+      await runGit(['config', '--global', '--remove-section', `includeIf.${include.condition}`], os.homedir())
+        .catch(() => {});
+    }
+  }
+
+  // Brings the include files and the includeIf sections in line with the mappings setting.
+  // Runs are queued because saving the setting triggers another sync.
+  sync() {
+    const run = () => this.syncNow();
+    this.pendingSync = (this.pendingSync || Promise.resolve()).then(run, run);
+    return this.pendingSync;
+  }
+
+  async syncNow() {
+    const wanted = [];
+    for (const mapping of this.loadMappings()) {
+      const identity = this.manager.provider.findGlobalIdentity(mapping.identity);
+      if (!identity) continue;
+      await this.writeIncludeFile(identity);
+      wanted.push({ condition: this.getCondition(mapping.directory), includePath: this.getIncludePath(identity) });
+    }
+
+    const existing = await this.readManagedIncludes();
+    const sameInclude = (a, b) => a.condition === b.condition && a.includePath === b.includePath;
+    for (const include of existing.filter(current => !wanted.some(want => sameInclude(current, want)))) {
+      await this.removeInclude(include);
+    }
+    for (const include of wanted.filter(want => !existing.some(current => sameInclude(current, want)))) {
+      await runGit(['config', '--global', '--add', `includeIf.${include.condition}.path`, include.includePath], os.homedir());
+    }
+
+    const usedFiles = new Set(wanted.map(include => path.basename(include.includePath)));
+    if (fs.existsSync(INCLUDE_FILES_DIR)) {
+      for (const file of fs.readdirSync(INCLUDE_FILES_DIR)) {
+        if (file.endsWith('.gitconfig') && !usedFiles.has(file)) {
+          fs.unlinkSync(path.join(INCLUDE_FILES_DIR, file));
+        }
+      }
+    }
+  }
+
+  async addMapping() {
+    const identities = this.manager.provider.loadGlobalIdentities();
+    if (identities.length === 0) {
+      vscode.window.showInformationMessage('Directory mappings use identities from your user settings. Add one there first.');
+      return;
+    }
+
+    const folders = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      openLabel: 'Map Directory'
+    });
+    if (!folders || folders.length === 0) return;
+
+    // Store paths under the home directory with ~ so the setting syncs across machines
+    let directory = toPosixPath(folders[0].fsPath);
+    const home = toPosixPath(os.homedir());
+    if (directory === home || directory.startsWith(`${home}/`)) {
+      directory = `~${directory.slice(home.length)}`;
+    }
+    if (!directory.endsWith('/')) directory += '/';
+
+    const selected = await vscode.window.showQuickPick(
+      identities.map(id => ({
+        label: id.name,
+        description: `${id.username} <${id.email}>`,
+        identity: id
+      })),
+      { placeHolder: `Select the identity for repositories under ${directory}` }
+    );
+    if (!selected) return;
+
+    const mappings = this.loadMappings().filter(mapping => mapping.directory !== directory);
+    mappings.push({ directory, identity: selected.identity.id ?? selected.identity.name });
+
+    try {
+      await this.saveMappings(mappings);
+      await this.sync();
+      this.refresh();
+      vscode.window.showInformationMessage(`Repositories under ${directory} now use "${selected.identity.name}"`);
+    } catch (error) {
+      showCommandError(`Failed to map directory: ${error.message}`);
+    }
+  }
+
+  async removeMapping(item) {
+    let mapping = item && item.mapping;
+    if (!mapping) {
+      const mappings = this.loadMappings();
+      if (mappings.length === 0) {
+        vscode.window.showInformationMessage('No directory mappings configured.');
+        return;
+      }
+      const selected = await vscode.window.showQuickPick(
+        mappings.map(current => {
+          const identity = this.manager.provider.findGlobalIdentity(current.identity);
+          return { label: current.directory, description: identity ? identity.name : String(current.identity), mapping: current };
+        }),
+        { placeHolder: 'Select the directory mapping to remove' }
+      );
+      if (!selected) return;
+      mapping = selected.mapping;
+    }
+
+    try {
+      await this.saveMappings(this.loadMappings().filter(current => current.directory !== mapping.directory));
+      await this.sync();
+      this.refresh();
+      vscode.window.showInformationMessage(`Removed the identity mapping for ${mapping.directory}`);
+    } catch (error) {
+      showCommandError(`Failed to remove directory mapping: ${error.message}`);
+    }
+  }
+}
+
+const IDENTITY_FILE_VERSION = 1;
+
+// YAML for identity files: always quotes strings, so the reader below only has to understand the
+// subset the writer produces plus plain scalars people type by hand
+function toIdentityYAML(document) {
+  const scalar = value => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+  const lines = [`version: ${document.version}`, 'identities:'];
+  for (const identity of document.identities) {
+    Object.entries(identity).forEach(([key, value], index) => {
+      lines.push(`${index === 0 ? '  - ' : '    '}${key}: ${scalar(value)}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseYAMLScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~' || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseIdentityYAML(text) {
+  const document = { identities: [] };
+  let current;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    if (!rawLine.trim() || rawLine.trim().startsWith('#')) return;
+
+    const match = /^(\s*)(- )?([A-Za-z][\w-]*):(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^#]*?))?\s*(?:#.*)?$/.exec(rawLine);
+    if (!match) {
+      throw new Error(`Unsupported YAML on line ${index + 1}: ${rawLine.trim()}`);
+    }
+    const [, indent, item, key, value = ''] = match;
+
+    if (!indent && !item) {
+      if (key !== 'identities') document[key] = parseYAMLScalar(value);
+      return;
+    }
+    if (item) {
+      current = {};
+      document.identities.push(current);
+    }
+    if (!current) {
+      throw new Error(`Unexpected key "${key}" on line ${index + 1}`);
+    }
+    current[key] = parseYAMLScalar(value);
+  });
+  return document;
+}
+
+// Export and import of identity files that can be handed to other team members
+class IdentityTransfer {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  async exportIdentities() {
+    const identities = this.provider.loadIdentities();
+    if (identities.length === 0) {
+      vscode.window.showInformationMessage('No identities configured to export.');
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      identities.map(id => ({ label: id.name, description: `${id.username} <${id.email}>`, picked: true, identity: id })),
+      { canPickMany: true, placeHolder: 'Select the identities to export' }
+    );
+    if (!selected || selected.length === 0) return;
+
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.file(path.join(os.homedir(), 'git-identities.json')),
+      filters: { 'Identity files': ['json', 'yaml', 'yml'] },
+      saveLabel: 'Export'
+    });
+    if (!uri) return;
+
+    const document = {
+      version: IDENTITY_FILE_VERSION,
+      identities: selected.map(item => stripIdentityScope(item.identity))
+    };
+    const isYAML = /\.ya?ml$/i.test(uri.fsPath);
+
+    try {
+      fs.writeFileSync(uri.fsPath, isYAML ? toIdentityYAML(document) : JSON.stringify(document, null, 2) + '\n');
+      vscode.window.showInformationMessage(
+        `Exported ${selected.length} identit${selected.length === 1 ? 'y' : 'ies'} to ${path.basename(uri.fsPath)}`
+      );
+    } catch (error) {
+      showCommandError(`Failed to export identities: ${error.message}`);
+    }
+  }
+
+  readIdentityFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const document = /\.ya?ml$/i.test(filePath) ? parseIdentityYAML(text) : JSON.parse(text);
+
+    if (!document || !Array.isArray(document.identities)) {
+      throw new Error('The file has no identities list');
+    }
+    if (typeof document.version !== 'number' || document.version > IDENTITY_FILE_VERSION) {
+      throw new Error(`Unsupported identity file version: ${document.version}`);
+    }
+
+    document.identities.forEach((identity, index) => {
+      if (!identity.name || !identity.username || !identity.email) {
+        throw new Error(`Identity ${index + 1} needs a name, username and email`);
+      }
+    });
+    // Where imported identities are stored is decided here, not by the file
+    document.identities = document.identities.map(stripIdentityScope);
+    return document;
+  }
+
+  async importIdentities() {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      filters: { 'Identity files': ['json', 'yaml', 'yml'] },
+      openLabel: 'Import'
+    });
+    if (!uris || uris.length === 0) return;
+
+    let document;
+    try {
+      document = this.readIdentityFile(uris[0].fsPath);
+    } catch (error) {
+      showCommandError(`Failed to read identity file: ${error.message}`);
+      return;
+    }
+
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: 'Merge', description: 'Add the imported identities to your own', mode: 'merge' },
+        { label: 'Replace', description: 'Replace all your identities with the imported ones', mode: 'replace' }
+      ],
+      { placeHolder: `Import ${document.identities.length} identities from ${path.basename(uris[0].fsPath)}` }
+    );
+    if (!mode) return;
+
+    let identities;
+    if (mode.mode === 'replace') {
+      const confirm = await vscode.window.showWarningMessage(
+        'Replace all configured identities with the imported ones?',
+        { modal: true },
+        'Replace'
+      );
+      if (confirm !== 'Replace') return;
+      let nextId = Date.now();
+      identities = document.identities.map(identity => ({ ...identity, id: identity.id || nextId++ }));
+    } else {
+      identities = await this.merge(this.provider.loadIdentities(), document.identities);
+      if (!identities) return;
+    }
+
+    await this.provider.saveIdentities(identities);
+    this.provider.refresh();
+    vscode.window.showInformationMessage(`Imported identities from ${path.basename(uris[0].fsPath)}`);
+  }
+
+  // Identities are matched by id. When an id exists with different values the user decides which
+  // one wins; keeping both gives the imported identity a new id. Returns undefined if cancelled.
+  async merge(existing, imported) {
+    const result = existing.map(identity => ({ ...identity }));
+    let nextId = Date.now();
+    // Imported identities that replace or sit next to one of yours are stored in its scope;
+    // without one saveIdentities would move them to user settings
+    const inScopeOf = (current, identity) => {
+      const scoped = { ...identity, scope: current.scope };
+      if (current.scopeFolder) scoped.scopeFolder = current.scopeFolder;
+      return scoped;
+    };
+    const uniqueName = name => {
+      let candidate = name;
+      for (let suffix = 2; result.some(identity => identity.name === candidate); suffix++) {
+        candidate = `${name} (${suffix})`;
+      }
+      return candidate;
+    };
+
+    for (const entry of imported) {
+      // YAML and hand-edited JSON may quote a numeric id
+      const index = entry.id === undefined ? -1 : result.findIndex(current => String(current.id) === String(entry.id));
+      if (index === -1) {
+        result.push({ ...entry, id: entry.id || nextId++, name: uniqueName(entry.name) });
+        continue;
+      }
+
+      const current = result[index];
+      const identity = { ...entry, id: current.id };
+      if (JSON.stringify(current) === JSON.stringify({ ...current, ...identity })) continue;
+
+      const choice = await vscode.window.showQuickPick(
+        [
+          { label: 'Keep Mine', description: `${current.name}: ${current.username} <${current.email}>`, action: 'keep' },
+          { label: 'Use Imported', description: `${identity.name}: ${identity.username} <${identity.email}>`, action: 'replace' },
+          { label: 'Keep Both', description: 'Add the imported identity with a new id', action: 'both' }
+        ],
+        { placeHolder: `Identity ${identity.id} ("${current.name}") differs from the imported one` }
+      );
+      if (!choice) return undefined;
+
+      if (choice.action === 'replace') {
+        result[index] = inScopeOf(current, identity);
+      } else if (choice.action === 'both') {
+        result.push(inScopeOf(current, { ...identity, id: nextId++, name: uniqueName(identity.name) }));
+      }
+    }
+
+    return result;
+  }
+}
+
+// A repository can commit .vscode/git-identity.json to declare the identity it requires and the
+// signing/SSH settings that go with it, e.g.
+//   { "version": 1, "identity": "Work", "emailPattern": "@acme-corp\\.com$", "settings": { "signCommits": true } }
+const REPOSITORY_PROFILE_SETTINGS = ['signingKey', 'signingFormat', 'signCommits', 'sshKeyPath', 'sshHost'];
+
+class RepositoryProfile {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  static load(cwd) {
+    const filePath = path.join(cwd, '.vscode', 'git-identity.json');
+    if (!fs.existsSync(filePath)) {
+      return undefined;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (typeof data.version === 'number' && data.version > IDENTITY_FILE_VERSION) {
+        throw new Error(`unsupported version ${data.version}`);
+      }
+      return new RepositoryProfile(filePath, data);
+    } catch (error) {
+      commandRunner.log(`Ignoring invalid ${filePath}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // The required identity: by id or name, otherwise the first whose email matches emailPattern
+  findIdentity(provider) {
+    if (this.data.identity !== undefined) {
+      const identity = provider.findIdentity(this.data.identity);
+      if (identity) return this.apply(identity);
+    }
+
+    if (this.data.emailPattern) {
+      try {
+        const pattern = new RegExp(this.data.emailPattern, 'i');
+        const identity = provider.loadIdentities().find(id => pattern.test(id.email));
+        if (identity) return this.apply(identity);
+      } catch (error) {
+        commandRunner.log(`Invalid emailPattern in ${this.filePath}: ${error.message}`);
+      }
+    }
+    return undefined;
+  }
+
+  // The repository's settings take precedence over the identity's own
+  apply(identity) {
+    const settings = this.data.settings || {};
+    const result = { ...identity };
+    for (const key of REPOSITORY_PROFILE_SETTINGS) {
+      if (key in settings) result[key] = settings[key];
+    }
+    return result;
+  }
+}
+
+class IdentityRuleEngine {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  loadRules() {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    return config.get('rules', []);
+  }
+
+  async getRemoteUrl(cwd) {
+    try {
+      return await runGit(['remote', 'get-url', 'origin'], cwd);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  matchesRemote(rule, remoteUrl) {
+    if (rule.remoteHost && parseRemoteHost(remoteUrl) !== rule.remoteHost.toLowerCase()) {
+      return false;
+    }
+
+    if (rule.remotePattern) {
+      try {
+        return new RegExp(rule.remotePattern, 'i').test(remoteUrl);
+      } catch (error) {
+        commandRunner.log(`Invalid remotePattern ${rule.remotePattern} in identity rule: ${error.message}`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Returns the first rule (in settings order) whose conditions all match the folder
+  async findMatch(workspaceFolder) {
+    const cwd = workspaceFolder.uri.fsPath;
+    let remoteUrl;
+
+    // A profile committed to the repository overrides personal rules
+    const profile = RepositoryProfile.load(cwd);
+    if (profile) {
+      const identity = profile.findIdentity(this.manager.provider);
+      if (identity) {
+        return { rule: { profile: profile.filePath }, identity };
+      }
+      commandRunner.log(`${profile.filePath} requires an identity that is not configured`);
+    }
+
+    for (const rule of this.loadRules()) {
+      if (!rule.path && !rule.remoteHost && !rule.remotePattern) {
+        continue;
+      }
+
+      if (rule.path && !matchesGlob(cwd, rule.path)) {
+        continue;
+      }
+
+      if (rule.remoteHost || rule.remotePattern) {
+        if (remoteUrl === undefined) {
+          remoteUrl = (await this.getRemoteUrl(cwd)) || null;
+        }
+        if (!remoteUrl || !this.matchesRemote(rule, remoteUrl)) {
+          continue;
+        }
+      }
+
+      const identity = this.manager.provider.findIdentity(rule.identity);
+      if (identity) {
+        return { rule, identity };
+      }
+      commandRunner.log(`Identity rule refers to unknown identity: ${rule.identity}`);
+    }
+
+    return undefined;
+  }
+
+  async evaluate(workspaceFolders, { manual = false } = {}) {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    let mode = config.get('autoSwitch', 'prompt');
+    if (mode === 'off') {
+      if (!manual) return;
+      mode = 'prompt';
+    }
+
+    for (const workspaceFolder of workspaceFolders || []) {
+      const folderName = path.basename(workspaceFolder.uri.fsPath);
+      try {
+        await runGit(['rev-parse', '--is-inside-work-tree'], workspaceFolder.uri.fsPath);
+      } catch (error) {
+        continue;
+      }
+
+      const match = await this.findMatch(workspaceFolder);
+      if (!match) {
+        if (manual) {
+          vscode.window.showInformationMessage(`No identity rule matches ${folderName}`);
+        }
+        continue;
+      }
+
+      const { identity } = match;
+      const currentEmail = await runGit(['config', 'user.email'], workspaceFolder.uri.fsPath).catch(() => '');
+      if (currentEmail === identity.email) {
+        if (manual) {
+          vscode.window.showInformationMessage(`${folderName} already uses "${identity.name}"`);
+        }
+        continue;
+      }
+
+      if (mode === 'prompt') {
+        const reason = match.rule.profile ? 'requires' : 'matches the rule for';
+        const choice = await vscode.window.showInformationMessage(
+          `${folderName} ${reason} "${identity.name}" (${identity.email}). Switch identity?`,
+          'Switch',
+          'Not Now'
+        );
+        if (choice !== 'Switch') continue;
+      }
+
+      try {
+        await this.manager.switchIdentity(identity, workspaceFolder);
+      } catch (error) {
+        commandRunner.log(`Error applying identity rule: ${error.message}`);
+      }
+    }
+  }
+}
+
+const COMMIT_HOOK_MARKER = '# Installed by Git Identity Switcher';
+
+const COMMIT_HOOK_SCRIPT = `#!/bin/sh
+${COMMIT_HOOK_MARKER}
+# Blocks commits whose author email differs from the identity expected for this repository.
+expected=$(git config --get identityswitcher.expectedemail | tr '[:upper:]' '[:lower:]')
+[ -z "$expected" ] && exit 0
+
+actual=$(git var GIT_AUTHOR_IDENT | sed 's/.*<\\(.*\\)>.*/\\1/' | tr '[:upper:]' '[:lower:]')
+if [ "$actual" != "$expected" ]; then
+  echo "Git Identity Switcher: this repository expects commits from <$expected>, but the author is <$actual>." >&2
+  echo "Switch identity, or commit with --no-verify to skip this check." >&2
+  exit 1
+fi
+`;
+
+class CommitGuard {
+  constructor(manager, ruleEngine) {
+    this.manager = manager;
+    this.ruleEngine = ruleEngine;
+  }
+
+  getGitApi() {
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension || !gitExtension.isActive) {
+      return undefined;
+    }
+    return gitExtension.exports.getAPI(1);
+  }
+
+  // The identity a repository should commit with: a matching rule wins over the email
+  // recorded when the commit hook was installed
+  async getExpectedIdentity(workspaceFolder) {
+    const match = await this.ruleEngine.findMatch(workspaceFolder);
+    if (match) {
+      return match.identity;
+    }
+
+    const expectedEmail = await runGit(
+      ['config', '--get', 'identityswitcher.expectedemail'],
+      workspaceFolder.uri.fsPath
+    ).catch(() => '');
+    if (!expectedEmail) {
+      return undefined;
+    }
+
+    const identity = this.manager.provider.loadIdentities().find(id =>
+      id.email.toLowerCase() === expectedEmail.toLowerCase()
+    );
+    return identity || { name: expectedEmail, email: expectedEmail };
+  }
+
+  // Returns true when the commit may go ahead
+  async check(workspaceFolder) {
+    const config = vscode.workspace.getConfiguration('gitIdentitySwitcher');
+    const mode = config.get('commitGuard', 'warn');
+    if (mode === 'off') {
+      return true;
+    }
+
+    const expected = await this.getExpectedIdentity(workspaceFolder);
+    if (!expected) {
+      return true;
+    }
+
+    const actualEmail = await runGit(['config', 'user.email'], workspaceFolder.uri.fsPath).catch(() => '');
+    if (actualEmail.toLowerCase() === expected.email.toLowerCase()) {
+      return true;
+    }
+
+    const actions = [];
+    if (expected.username) {
+      actions.push('Switch and Continue');
+    }
+    if (mode === 'warn') {
+      actions.push('Commit Anyway');
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+      `${workspaceFolder.name} expects commits from "${expected.name}" <${expected.email}>, ` +
+        `but user.email is ${actualEmail ? `<${actualEmail}>` : 'not set'}.`,
+      { modal: true },
+      ...actions
+    );
+
+    if (choice === 'Switch and Continue') {
+      await this.manager.switchIdentity(expected, workspaceFolder);
+      return true;
+    }
+    return choice === 'Commit Anyway';
+  }
+
+  // Resolves the repository to commit from the SCM title menu argument, the selected
+  // repository in the Source Control view, or the active editor
+  async resolveCommitRepository(sourceControl) {
+    if (sourceControl && sourceControl.rootUri) {
+      return sourceControl.rootUri;
+    }
+
+    const gitApi = this.getGitApi();
+    const selected = gitApi && gitApi.repositories.find(repository => repository.ui.selected);
+    if (selected) {
+      return selected.rootUri;
+    }
+
+    const repository = await this.manager.resolveRepository({ pick: true });
+    return repository && repository.uri;
+  }
+
+  async commit(sourceControl) {
+    const rootUri = await this.resolveCommitRepository(sourceControl);
+    if (!rootUri) {
+      return;
+    }
+
+    const workspaceFolder = { uri: rootUri, name: path.basename(rootUri.fsPath) };
+    if (await this.check(workspaceFolder)) {
+      await vscode.commands.executeCommand('git.commit', rootUri);
+    }
+  }
+
+  async getHookPath(cwd) {
+    // --git-path honours core.hooksPath and linked worktrees
+    const hookPath = await runGit(['rev-parse', '--git-path', 'hooks/pre-commit'], cwd);
+    return path.resolve(cwd, hookPath);
+  }
+
+  async installHook() {
+    const repository = await this.manager.resolveRepository({ pick: true });
+    if (!repository) {
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+    const cwd = repository.uri.fsPath;
+
+    const identities = this.manager.provider.loadIdentities();
+    if (identities.length === 0) {
+      vscode.window.showInformationMessage('No identities configured. Add one first.');
+      return;
+    }
+
+    const match = await this.ruleEngine.findMatch(repository);
+    const items = identities.map(id => ({
+      label: id.name,
+      description: `${id.username} <${id.email}>`,
+      detail: match && getIdentityKey(match.identity) === getIdentityKey(id) ? 'Selected by identity rules' : undefined,
+      identity: id
+    }));
+    items.sort((a, b) => (b.detail ? 1 : 0) - (a.detail ? 1 : 0));
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Select the identity ${repository.name} must commit with`
+    });
+    if (!selected) return;
+
     try {
-      let configContent = '';
-      if (fs.existsSync(configPath)) {
-        configContent = fs.readFileSync(configPath, 'utf8');
+      const hookPath = await this.getHookPath(cwd);
+      if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, 'utf8').includes(COMMIT_HOOK_MARKER)) {
+        const confirm = await vscode.window.showWarningMessage(
+          `${repository.name} already has a pre-commit hook. Replace it?`,
+          { modal: true },
+          'Replace'
+        );
+        if (confirm !== 'Replace') return;
       }
 
-      const hostAlias = `${provider}-${identityName.toLowerCase().replace(/\s+/g, '-')}`;
-      const newConfig = `
-# ${identityName} - ${provider}
-Host ${hostAlias}
-    HostName ${hostUrl}
-    User git
-    IdentityFile ~/.ssh/${keyName}
-    IdentitiesOnly yes
+      await runGit(['config', 'identityswitcher.expectedemail', selected.identity.email], cwd);
+      fs.mkdirSync(path.dirname(hookPath), { recursive: true });
+      fs.writeFileSync(hookPath, COMMIT_HOOK_SCRIPT, { mode: 0o755 });
+      fs.chmodSync(hookPath, 0o755);
 
-`;
+      vscode.window.showInformationMessage(
+        `Installed commit identity hook in ${repository.name} for "${selected.identity.name}"`
+      );
+    } catch (error) {
+      showCommandError(`Failed to install commit hook: ${error.message}`);
+    }
+  }
 
-      // Check if this config already exists
-      if (!configContent.includes(`Host ${hostAlias}`)) {
-        fs.writeFileSync(configPath, configContent + newConfig, { mode: 0o600 });
-      }
+  async removeHook() {
+    const repository = await this.manager.resolveRepository({ pick: true });
+    if (!repository) {
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+    const cwd = repository.uri.fsPath;
 
-      webview.postMessage({
-        command: 'configUpdated',
-        data: {
-          success: true,
-          hostAlias,
-          cloneExample: `git clone git@${hostAlias}:username/repo.git`
-        }
-      });
+    try {
+      const hookPath = await this.getHookPath(cwd);
+      if (!fs.existsSync(hookPath) || !fs.readFileSync(hookPath, 'utf8').includes(COMMIT_HOOK_MARKER)) {
+        vscode.window.showInformationMessage(`No commit identity hook installed in ${repository.name}`);
+        return;
+      }
 
+      fs.unlinkSync(hookPath);
+      await runGit(['config', '--unset', 'identityswitcher.expectedemail'], cwd).catch(() => {});
+      vscode.window.showInformationMessage(`Removed commit identity hook from ${repository.name}`);
     } catch (error) {
-      webview.postMessage({
-        command: 'configUpdated',
-        data: {
-          success: false,
-          error: error.message
-        }
-      });
+      showCommandError(`Failed to remove commit hook: ${error.message}`);
     }
   }
+}
+
+// Finds commits not yet pushed whose author or committer isn't the repository's identity, and
+// rewrites them with a rebase that resets the author. Pushed commits are never rewritten.
+class CommitAuthorFixer {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  async getUpstream(cwd) {
+    return runGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}'], cwd).catch(() => undefined);
+  }
+
+  async listCommits(args, cwd) {
+    const output = await runGit([
+      'log', '--format=%H%x1f%h%x1f%an%x1f%ae%x1f%cn%x1f%ce%x1f%P%x1f%s', ...args
+    ], cwd);
+    return output.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, authorName, authorEmail, committerName, committerEmail, parents, subject] = line.split('\x1f');
+      return { hash, shortHash, authorName, authorEmail, committerName, committerEmail, parents: parents.split(' ').filter(Boolean), subject };
+    });
+  }
+
+  isMismatched(commit, expected) {
+    return commit.authorName !== expected.name || commit.authorEmail !== expected.email ||
+      commit.committerName !== expected.name || commit.committerEmail !== expected.email;
+  }
+
+  async run() {
+    const repository = await this.manager.resolveRepository({ pick: true });
+    if (!repository) {
+      vscode.window.showErrorMessage('No workspace folder open');
+      return;
+    }
+    const cwd = repository.uri.fsPath;
 
-  async testSSHConnection(data, webview) {
-    const { hostAlias } = data;
-    
     try {
-      const command = `ssh -T git@${hostAlias}`;
-      
-      exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
-        // SSH test usually returns exit code 1 but with success message in stderr
-        const output = stdout + stderr;
-        const success = output.includes('successfully authenticated') || 
-                       output.includes('You\'ve successfully authenticated');
-
-        webview.postMessage({
-          command: 'connectionTested',
-          data: {
-            success,
-            output: output.trim()
-          }
-        });
+      const expected = {
+        name: await runGit(['config', 'user.name'], cwd).catch(() => ''),
+        email: await runGit(['config', 'user.email'], cwd).catch(() => '')
+      };
+      if (!expected.name || !expected.email) {
+        vscode.window.showErrorMessage(`${repository.name} has no user.name or user.email. Switch to an identity first.`);
+        return;
+      }
+
+      // Commits ahead of the upstream branch, or not on any remote when the branch has none
+      const upstream = await this.getUpstream(cwd);
+      const scanned = await this.listCommits(upstream ? [`${upstream}..HEAD`] : ['HEAD', '--not', '--remotes'], cwd);
+      const unpushed = new Set(await runGit(['rev-list', 'HEAD', '--not', '--remotes'], cwd)
+        .then(output => output.split('\n').filter(Boolean)));
+
+      const mismatched = scanned.filter(commit => this.isMismatched(commit, expected));
+      const scope = upstream ? `ahead of ${upstream}` : 'not pushed';
+      if (mismatched.length === 0) {
+        vscode.window.showInformationMessage(
+          `All ${scanned.length} ${scanned.length === 1 ? 'commit' : 'commits'} ${scope} in ${repository.name} are by ${expected.name} <${expected.email}>`
+        );
+        return;
+      }
+
+      const selected = await vscode.window.showQuickPick([
+        {
+          label: `$(edit) Rewrite as ${expected.name} <${expected.email}>...`,
+          rewrite: true
+        },
+        { label: `${mismatched.length} ${mismatched.length === 1 ? 'commit' : 'commits'} ${scope}`, kind: vscode.QuickPickItemKind.Separator },
+        ...mismatched.map(commit => ({
+          label: `$(git-commit) ${commit.shortHash} ${commit.subject}`,
+          description: unpushed.has(commit.hash) ? undefined : 'pushed',
+          detail: `Author: ${commit.authorName} <${commit.authorEmail}> · Committer: ${commit.committerName} <${commit.committerEmail}>`
+        }))
+      ], {
+        title: `Commits in ${repository.name} not made as ${expected.name} <${expected.email}>`,
+        placeHolder: 'Review the commits, then choose Rewrite',
+        matchOnDetail: true
       });
+      if (!selected || !selected.rewrite) return;
+
+      const pushed = mismatched.filter(commit => !unpushed.has(commit.hash));
+      if (pushed.length > 0) {
+        vscode.window.showErrorMessage(
+          `Not rewriting: ${pushed.map(commit => commit.shortHash).join(', ')} ${pushed.length === 1 ? 'is' : 'are'} already on a remote. ` +
+          'Rewriting pushed commits would require a force push.'
+        );
+        return;
+      }
+
+      // Every commit from the oldest mismatched one up to HEAD is recreated by the rebase
+      const oldest = mismatched[mismatched.length - 1];
+      const rewritten = await this.listCommits(oldest.parents.length > 0 ? [`${oldest.hash}^..HEAD`] : ['HEAD'], cwd);
+      if (rewritten.some(commit => commit.parents.length > 1)) {
+        vscode.window.showErrorMessage('Not rewriting: the commits include a merge, which a rebase would flatten.');
+        return;
+      }
+
+      const changes = mismatched.map(commit =>
+        `${commit.shortHash} ${commit.subject}\n    ${commit.authorName} <${commit.authorEmail}> → ${expected.name} <${expected.email}>`
+      );
+      const others = rewritten.length - mismatched.length;
+      const confirm = await vscode.window.showWarningMessage(
+        `Rewrite ${mismatched.length} ${mismatched.length === 1 ? 'commit' : 'commits'} in ${repository.name}?`,
+        {
+          modal: true,
+          detail: `${changes.join('\n')}\n\n` +
+            (others > 0 ? `${others} later ${others === 1 ? 'commit keeps its' : 'commits keep their'} author but get${others === 1 ? 's' : ''} a new hash. ` : '') +
+            'The author date of the fixed commits becomes now. The old commits stay reachable through ORIG_HEAD and the reflog.'
+        },
+        'Rewrite'
+      );
+      if (confirm !== 'Rewrite') return;
 
+      await this.rewrite(cwd, oldest, expected);
+      vscode.window.showInformationMessage(
+        `Rewrote ${mismatched.length} ${mismatched.length === 1 ? 'commit' : 'commits'} as ${expected.name} <${expected.email}>`
+      );
     } catch (error) {
-      webview.postMessage({
-        command: 'connectionTested',
-        data: {
-          success: false,
-          error: error.message
-        }
-      });
+      showCommandError(`Failed to fix commit authors: ${error.message}`);
     }
   }
 
-  async copyPublicKey(data, webview) {
+  // The exec step runs through sh (also with Git for Windows) after each replayed commit and only
+  // amends the commits whose author or committer is wrong
+  async rewrite(cwd, oldest, expected) {
+    const identity = `${expected.name}\x1f${expected.email}`;
+    const check = (format) =>
+      `[ "$(git log -1 --format=${format})" = ${quoteShellArg(identity)} ]`;
+    const exec = `${check('%an%x1f%ae')} && ${check('%cn%x1f%ce')} || git commit --amend --no-edit --allow-empty --reset-author`;
+
+    const args = ['rebase', '--autostash', '--exec', exec];
+    args.push(...(oldest.parents.length > 0 ? [`${oldest.hash}^`] : ['--root']));
     try {
-      await vscode.env.clipboard.writeText(data.publicKey);
-      webview.postMessage({
-        command: 'publicKeyCopied',
-        data: { success: true }
-      });
+      await runGit(args, cwd, { timeout: 120000 });
     } catch (error) {
-      webview.postMessage({
-        command: 'publicKeyCopied',
-        data: { success: false, error: error.message }
-      });
+      await runGit(['rebase', '--abort'], cwd).catch(() => {});
+      throw error;
     }
   }
+}
 
-  getWizardHTML() {
-    return `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>SSH Setup Wizard</title>
-    <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: var(--vscode-editor-background); color: var(--vscode-editor-foreground); }
-        .step { display: none; background: var(--vscode-editor-inactiveSelectionBackground); border-radius: 8px; padding: 20px; margin-bottom: 20px; }
-        .step.active { display: block; }
-        .step h2 { margin-top: 0; color: var(--vscode-textLink-foreground); }
-        .form-group { margin-bottom: 15px; }
-        label { display: block; margin-bottom: 5px; font-weight: 500; }
-        input, select, textarea { width: 100%; padding: 8px 12px; border: 1px solid var(--vscode-input-border); background: var(--vscode-input-background); color: var(--vscode-input-foreground); border-radius: 4px; box-sizing: border-box; }
-        button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; margin-right: 10px; }
-        button:hover { background: var(--vscode-button-hoverBackground); }
-        button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
-        .success { color: var(--vscode-testing-iconPassed); background: var(--vscode-inputValidation-infoBackground); padding: 10px; border-radius: 4px; margin: 10px 0; }
-        .error { color: var(--vscode-testing-iconFailed); background: var(--vscode-inputValidation-errorBackground); padding: 10px; border-radius: 4px; margin: 10px 0; }
-        .code-block { background: var(--vscode-textCodeBlock-background); padding: 10px; border-radius: 4px; font-family: 'Courier New', monospace; margin: 10px 0; font-size: 12px; }
-        .progress { display: flex; justify-content: space-between; margin-bottom: 30px; padding-bottom: 10px; border-bottom: 1px solid var(--vscode-input-border); }
-        .progress-step { flex: 1; text-align: center; padding: 5px; background: var(--vscode-button-secondaryBackground); margin: 0 2px; border-radius: 4px; font-size: 12px; }
-        .progress-step.active { background: var(--vscode-button-background); color: var(--vscode-button-foreground); }
-        .progress-step.completed { background: var(--vscode-testing-iconPassed); color: white; }
-    </style>
-</head>
-<body>
-    <h1>SSH Setup Wizard</h1>
-    <div class="progress">
-        <div class="progress-step active" id="progress-1">1. Identity Info</div>
-        <div class="progress-step" id="progress-2">2. Generate Key</div>
-        <div class="progress-step" id="progress-3">3. Add to Provider</div>
-        <div class="progress-step" id="progress-4">4. Configure & Test</div>
-    </div>
+const CO_AUTHORS_KEY = 'gitIdentitySwitcher.coAuthors';
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.*?)\s*<([^>]*)>\s*$/i;
+// Any "Token: value" line, like Signed-off-by
+const TRAILER_LINE = /^[A-Za-z0-9-]+:\s*\S/;
 
-    <div class="step active" id="step-1">
-        <h2>Step 1: Identity Information</h2>
-        <p>First, let's gather the basic information for this Git identity.</p>
-        <div class="form-group">
-            <label>Identity Name:</label>
-            <input type="text" id="identityName" placeholder="e.g., Work, Personal" />
-        </div>
-        <div class="form-group">
-            <label>Email Address:</label>
-            <input type="email" id="email" placeholder="your.email@example.com" />
-        </div>
-        <div class="form-group">
-            <label>Git Provider:</label>
-            <select id="provider">
-                <option value="github">GitHub (github.com)</option>
-                <option value="gitlab">GitLab (gitlab.com)</option>
-                <option value="bitbucket">Bitbucket (bitbucket.org)</option>
-                <option value="other">Other</option>
-            </select>
-        </div>
-        <button onclick="nextStep(2)">Next: Generate SSH Key</button>
-    </div>
+// The pairing session of the workspace. Its co-authors are kept as Co-authored-by trailers in
+// the commit message box of every repository the Git extension has open.
+class CoAuthorSession {
+  constructor(manager, memento) {
+    this.manager = manager;
+    this.memento = memento;
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+    this.gitApi = undefined;
+    this.disposables = [];
+  }
 
-    <div class="step" id="step-2">
-        <h2>Step 2: Generate SSH Key</h2>
-        <p>We'll generate a unique SSH key for this identity.</p>
-        <div id="key-generation-status"></div>
-        <button onclick="generateKey()">Generate SSH Key</button>
-        <button class="secondary" onclick="prevStep(1)">Back</button>
-        <button onclick="nextStep(3)" id="next-step-2" style="display: none;">Next: Add Key to Provider</button>
-    </div>
+  getCoAuthors() {
+    return this.memento.get(CO_AUTHORS_KEY, []);
+  }
 
-    <div class="step" id="step-3">
-        <h2>Step 3: Add SSH Key to Your Git Provider</h2>
-        <p>Copy your public key and add it to your Git provider account.</p>
-        <div class="form-group">
-            <label>Your SSH Public Key:</label>
-            <textarea id="publicKeyDisplay" rows="4" readonly></textarea>
-            <button onclick="copyPublicKey()">Copy to Clipboard</button>
-        </div>
-        <div id="provider-instructions"></div>
-        <div id="copy-status"></div>
-        <button class="secondary" onclick="prevStep(2)">Back</button>
-        <button onclick="nextStep(4)">Next: Configure & Test</button>
-    </div>
+  async select() {
+    const repository = await this.manager.resolveRepository();
+    const cwd = repository && repository.uri.fsPath;
+    const ownEmail = cwd ? (await runGit(['config', 'user.email'], cwd).catch(() => '')).toLowerCase() : '';
 
-    <div class="step" id="step-4">
-        <h2>Step 4: Configure SSH and Test Connection</h2>
-        <p>We'll update your SSH config and test the connection.</p>
-        <div id="config-status"></div>
-        <button onclick="updateSSHConfig()">Update SSH Config</button>
-        <button onclick="testConnection()" id="test-button" style="display: none;">Test SSH Connection</button>
-        <div id="test-results"></div>
-        <div id="completion-status"></div>
-        <button class="secondary" onclick="prevStep(3)">Back</button>
-        <button onclick="completeWizard()" id="complete-button" style="display: none;">Complete Setup</button>
-    </div>
+    const candidates = new Map();
+    const add = (name, email, source) => {
+      const key = (email || '').toLowerCase();
+      if (!name || !key || key === ownEmail || candidates.has(key)) return;
+      candidates.set(key, { coAuthor: { name, email }, source });
+    };
+    for (const identity of this.manager.provider.loadIdentities()) {
+      add(identity.username, identity.email, `Identity "${identity.name}"`);
+    }
+    if (cwd) {
+      const output = await runGit(['log', '-n', '200', '--format=%an%x1f%ae'], cwd).catch(() => '');
+      for (const line of output.split('\n').filter(Boolean)) {
+        const [name, email] = line.split('\x1f');
+        add(name, email, `Recent author in ${repository.name}`);
+      }
+    }
+    for (const coAuthor of this.getCoAuthors()) {
+      add(coAuthor.name, coAuthor.email, 'Current co-author');
+    }
 
-    <script>
-        console.log('SSH Wizard script loading...');
-        let vscode;
-        let currentData = {};
-        
-        try {
-            console.log('Attempting to acquire VS Code API...');
-            vscode = acquireVsCodeApi();
-            console.log('VS Code API acquired successfully');
-            console.log('VS Code object:', vscode);
-            console.log('postMessage function:', typeof vscode.postMessage);
-            console.log('SSH Wizard script loaded successfully');
-        } catch (error) {
-            console.error('Error loading SSH Wizard script:', error);
-            console.error('Error details:', error.message, error.stack);
-            // Create a fallback vscode object for testing
-            vscode = {
-                postMessage: function(message) {
-                    console.log('Fallback postMessage called with:', message);
-                }
-            };
-        }
+    if (candidates.size === 0) {
+      vscode.window.showInformationMessage('No identities or recent authors to pair with');
+      return;
+    }
 
-        function nextStep(stepNumber) {
-            console.log('nextStep called with stepNumber:', stepNumber);
-            if (stepNumber === 2) {
-                const identityName = document.getElementById('identityName').value;
-                const email = document.getElementById('email').value;
-                if (!identityName || !email) {
-                    alert('Please fill in all required fields');
-                    return;
-                }
-                currentData = { identityName, email, provider: document.getElementById('provider').value };
-                console.log('Current data set:', currentData);
-            }
-            document.querySelectorAll('.step').forEach(step => step.classList.remove('active'));
-            const nextStepElement = document.getElementById('step-' + stepNumber);
-            if (nextStepElement) {
-                nextStepElement.classList.add('active');
-                updateProgress(stepNumber);
-            }
-        }
+    const active = new Set(this.getCoAuthors().map(coAuthor => coAuthor.email.toLowerCase()));
+    const selected = await vscode.window.showQuickPick(
+      [...candidates.values()].map(({ coAuthor, source }) => ({
+        label: coAuthor.name,
+        description: coAuthor.email,
+        detail: source,
+        picked: active.has(coAuthor.email.toLowerCase()),
+        coAuthor
+      })),
+      { canPickMany: true, placeHolder: 'Select who you are pairing with (select none to end the session)' }
+    );
+    if (!selected) return;
 
-        function prevStep(stepNumber) {
-            document.querySelectorAll('.step').forEach(step => step.classList.remove('active'));
-            document.getElementById('step-' + stepNumber).classList.add('active');
-            updateProgress(stepNumber);
-        }
+    await this.setCoAuthors(selected.map(item => item.coAuthor));
+  }
 
-        function updateProgress(activeStep) {
-            document.querySelectorAll('.progress-step').forEach((step, index) => {
-                step.classList.remove('active', 'completed');
-                if (index + 1 < activeStep) step.classList.add('completed');
-                else if (index + 1 === activeStep) step.classList.add('active');
-            });
-        }
+  async setCoAuthors(coAuthors) {
+    const previous = this.getCoAuthors();
+    await this.memento.update(CO_AUTHORS_KEY, coAuthors.length > 0 ? coAuthors : undefined);
+    this._onDidChange.fire();
 
-        function generateKey() {
-            if (!vscode) {
-                console.error('VS Code API not available');
-                return;
-            }
-            document.getElementById('key-generation-status').innerHTML = '<div>Generating SSH key...</div>';
-            vscode.postMessage({ command: 'generateKey', data: currentData });
-        }
+    try {
+      await this.updateAll(previous);
+    } catch (error) {
+      commandRunner.log(`Error updating commit message trailers: ${error.message}`);
+    }
 
-        function copyPublicKey() {
-            if (!vscode) {
-                console.error('VS Code API not available');
-                return;
-            }
-            vscode.postMessage({ command: 'copyPublicKey', data: { publicKey: currentData.publicKey } });
-        }
+    vscode.window.showInformationMessage(coAuthors.length > 0
+      ? `Pairing with ${coAuthors.map(coAuthor => coAuthor.name).join(', ')}`
+      : 'Pairing session ended');
+  }
 
-        function updateSSHConfig() {
-            if (!vscode) {
-                console.error('VS Code API not available');
-                return;
-            }
-            const hostUrls = { 'github': 'github.com', 'gitlab': 'gitlab.com', 'bitbucket': 'bitbucket.org' };
-            vscode.postMessage({ command: 'updateSSHConfig', data: { ...currentData, hostUrl: hostUrls[currentData.provider] || 'github.com' } });
-        }
+  // Replaces the trailers of the session's current and previous co-authors; trailers for anyone
+  // else are left alone
+  applyTrailers(message, previous) {
+    const coAuthors = this.getCoAuthors();
+    const managed = new Set([...previous, ...coAuthors].map(coAuthor => coAuthor.email.toLowerCase()));
+    const kept = message.split(/\r?\n/).filter(line => {
+      const trailer = CO_AUTHOR_TRAILER.exec(line.trim());
+      return !trailer || !managed.has(trailer[2].toLowerCase());
+    });
 
-        function testConnection() {
-            if (!vscode) {
-                console.error('VS Code API not available');
-                return;
-            }
-            vscode.postMessage({ command: 'testConnection', data: { hostAlias: currentData.hostAlias } });
-        }
+    const body = kept.join('\n').replace(/\s+$/, '');
+    if (coAuthors.length === 0) {
+      return body;
+    }
+    const trailers = coAuthors.map(coAuthor => `Co-authored-by: ${coAuthor.name} <${coAuthor.email}>`).join('\n');
+    // Join a trailer block the message already ends with, so git still reads its trailers as
+    // such. The subject is never one, and an empty message keeps its first line free for it.
+    const paragraphs = body.split(/\n\s*\n/);
+    const lastParagraph = paragraphs.length > 1 ? paragraphs[paragraphs.length - 1].split('\n') : [];
+    // Indented lines continue the trailer above them
+    const endsInTrailers = lastParagraph.length > 0 && TRAILER_LINE.test(lastParagraph[0]) &&
+      lastParagraph.every(line => TRAILER_LINE.test(line) || /^\s+\S/.test(line));
+    const separator = endsInTrailers ? '\n' : '\n\n';
+    return `${body}${separator}${trailers}`;
+  }
 
-        function completeWizard() {
-            if (!vscode) {
-                console.error('VS Code API not available');
-                return;
-            }
-            alert('SSH setup complete! You can now use this identity for Git operations.');
-            vscode.postMessage({ command: 'closeWizard' });
-        }
+  updateRepository(repository, previous = []) {
+    if (previous.length === 0 && this.getCoAuthors().length === 0) return;
+    const value = repository.inputBox.value;
+    const updated = this.applyTrailers(value, previous);
+    if (updated !== value) {
+      repository.inputBox.value = updated;
+    }
+  }
 
-        window.addEventListener('message', event => {
-            const message = event.data;
-            switch (message.command) {
-                case 'keyGenerated': handleKeyGenerated(message.data); break;
-                case 'publicKeyCopied': handlePublicKeyCopied(message.data); break;
-                case 'configUpdated': handleConfigUpdated(message.data); break;
-                case 'connectionTested': handleConnectionTested(message.data); break;
-            }
-        });
+  async updateAll(previous = []) {
+    const gitApi = await this.attach();
+    if (!gitApi) return;
+    for (const repository of gitApi.repositories) {
+      this.updateRepository(repository, previous);
+    }
+  }
 
-        function handleKeyGenerated(data) {
-            if (data.success) {
-                currentData.keyName = data.keyName;
-                currentData.publicKey = data.publicKey;
-                document.getElementById('key-generation-status').innerHTML = '<div class="success">✓ SSH key generated successfully!</div>';
-                document.getElementById('next-step-2').style.display = 'inline-block';
-                document.getElementById('publicKeyDisplay').value = data.publicKey;
-                updateProviderInstructions(data.provider);
-            } else {
-                document.getElementById('key-generation-status').innerHTML = '<div class="error">Error: ' + data.error + '</div>';
-            }
-        }
+  // Connects to the Git extension the first time it is needed
+  async attach() {
+    if (this.gitApi) return this.gitApi;
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension) return undefined;
+    const exports = gitExtension.isActive ? gitExtension.exports : await gitExtension.activate();
+    this.gitApi = exports.getAPI(1);
 
-        function handlePublicKeyCopied(data) {
-            if (data.success) {
-                document.getElementById('copy-status').innerHTML = '<div class="success">✓ Public key copied to clipboard!</div>';
-            }
-        }
+    this.gitApi.repositories.forEach(repository => this.watchRepository(repository));
+    this.disposables.push(this.gitApi.onDidOpenRepository(repository => {
+      this.watchRepository(repository);
+      this.updateRepository(repository);
+    }));
+    return this.gitApi;
+  }
 
-        function handleConfigUpdated(data) {
-            if (data.success) {
-                currentData.hostAlias = data.hostAlias;
-                document.getElementById('config-status').innerHTML = '<div class="success">✓ SSH config updated!</div><div class="code-block">Clone example: ' + data.cloneExample + '</div>';
-                document.getElementById('test-button').style.display = 'inline-block';
-            } else {
-                document.getElementById('config-status').innerHTML = '<div class="error">Error: ' + data.error + '</div>';
-            }
-        }
+  // The Git extension empties the message box after a commit. A new HEAD commit means the box
+  // needs the trailers again; the short delay lets the Git extension clear it first.
+  watchRepository(repository) {
+    let head = repository.state.HEAD && repository.state.HEAD.commit;
+    this.disposables.push(repository.state.onDidChange(() => {
+      const current = repository.state.HEAD && repository.state.HEAD.commit;
+      if (current === head) return;
+      head = current;
+      setTimeout(() => this.updateRepository(repository), 100);
+    }));
+  }
 
-        function handleConnectionTested(data) {
-            if (data.success) {
-                document.getElementById('test-results').innerHTML = '<div class="success">✓ SSH connection successful!</div><div class="code-block">' + data.output + '</div>';
-                document.getElementById('complete-button').style.display = 'inline-block';
-            } else {
-                document.getElementById('test-results').innerHTML = '<div class="error">Connection test failed:</div><div class="code-block">' + (data.output || data.error) + '</div>';
-            }
-        }
+  dispose() {
+    this.disposables.forEach(disposable => disposable.dispose());
+    this.disposables = [];
+  }
+}
+
+// Watches every git config file the open repositories read, so changes made in a terminal or by
+// another tool reach the status bar and views. Bursts of changes are debounced into one refresh.
+class GitConfigWatcher {
+  constructor(manager, onChange) {
+    this.manager = manager;
+    this.onChange = onChange;
+    this.watchers = new Map();
+    // Config files per repository path, rescanned after every change since includes can change
+    this.repositoryFiles = new Map();
+    this.timer = undefined;
+  }
+
+  getGlobalFiles() {
+    const xdgConfigHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return [
+      process.env.GIT_CONFIG_GLOBAL,
+      path.join(os.homedir(), '.gitconfig'),
+      path.join(xdgConfigHome, 'git', 'config')
+    ].filter(Boolean).map(file => path.resolve(expandHome(file)));
+  }
+
+  async getRepositoryFiles(cwd) {
+    let root;
+    let gitDir;
+    let commonDir;
+    try {
+      // In a linked worktree, or when .git is a file pointing elsewhere, the shared config lives
+      // in the common directory and per-worktree settings in the worktree's git directory
+      [root, gitDir, commonDir] = (await runGit(['rev-parse', '--show-toplevel', '--git-dir', '--git-common-dir'], cwd)).split('\n');
+    } catch (error) {
+      return [];
+    }
+
+    const files = [path.resolve(cwd, commonDir, 'config'), path.resolve(cwd, gitDir, 'config.worktree')];
+    // Every file git actually read, including includes and matching includeIf sections
+    const output = await runGit(['config', '--list', '--show-origin', '--name-only'], cwd).catch(() => '');
+    for (const line of output.split('\n')) {
+      const match = /^file:(.*?)\t/.exec(line);
+      if (match) files.push(path.resolve(root, expandHome(match[1])));
+    }
+    return [...new Set(files)];
+  }
+
+  // Starts watching new repositories; a full rescan also picks up added or removed includes
+  async update({ rescan = false } = {}) {
+    const folders = [...(vscode.workspace.workspaceFolders || [])];
+    const active = await this.manager.resolveRepository();
+    if (active) folders.push(active);
+
+    const paths = new Set(folders.map(folder => path.resolve(folder.uri.fsPath)));
+    for (const cwd of paths) {
+      if (rescan || !this.repositoryFiles.has(cwd)) {
+        this.repositoryFiles.set(cwd, await this.getRepositoryFiles(cwd));
+      }
+    }
+    for (const cwd of this.repositoryFiles.keys()) {
+      if (!paths.has(cwd)) this.repositoryFiles.delete(cwd);
+    }
+
+    const files = new Set(this.getGlobalFiles());
+    for (const repositoryFiles of this.repositoryFiles.values()) {
+      repositoryFiles.forEach(file => files.add(file));
+    }
+
+    for (const [file, watcher] of this.watchers) {
+      if (!files.has(file)) {
+        watcher.dispose();
+        this.watchers.delete(file);
+      }
+    }
+    for (const file of files) {
+      if (this.watchers.has(file)) continue;
+      // Git replaces config files through a lock file, which shows up as create or change
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.file(path.dirname(file)), path.basename(file))
+      );
+      watcher.onDidCreate(() => this.schedule());
+      watcher.onDidChange(() => this.schedule());
+      watcher.onDidDelete(() => this.schedule());
+      this.watchers.set(file, watcher);
+    }
+  }
 
-        function updateProviderInstructions(provider) {
-            const instructions = {
-                'github': '<h3>Add to GitHub:</h3><ol><li>Go to <a href="https://github.com/settings/keys">GitHub SSH Keys Settings</a></li><li>Click "New SSH key"</li><li>Give it a title (e.g., "' + currentData.identityName + '")</li><li>Paste the public key above</li><li>Click "Add SSH key"</li></ol>',
-                'gitlab': '<h3>Add to GitLab:</h3><ol><li>Go to <a href="https://gitlab.com/-/profile/keys">GitLab SSH Keys Settings</a></li><li>Paste the public key above</li><li>Give it a title (e.g., "' + currentData.identityName + '")</li><li>Click "Add key"</li></ol>',
-                'bitbucket': '<h3>Add to Bitbucket:</h3><ol><li>Go to Bitbucket Settings > SSH Keys</li><li>Click "Add key"</li><li>Paste the public key above</li><li>Give it a label (e.g., "' + currentData.identityName + '")</li><li>Click "Add key"</li></ol>'
-            };
-            document.getElementById('provider-instructions').innerHTML = instructions[provider] || '<p>Add the public key to your Git provider SSH settings.</p>';
-        }
-    </script>
-</body>
-</html>`;
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.onChange();
+      this.update({ rescan: true }).catch(error => commandRunner.log(`Error updating git config watchers: ${error.message}`));
+    }, 300);
   }
-}
 
-class GitIdentityManager {
-  constructor() {
-    this.provider = new GitIdentityProvider();
+  dispose() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.dispose());
+    this.watchers.clear();
   }
+}
 
-  async getCurrentIdentity() {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) {
-      throw new Error('No workspace folder open');
-    }
+const HEALTH_SEVERITY_ICONS = {
+  error: '$(error)',
+  warning: '$(warning)',
+  info: '$(info)'
+};
 
-    return new Promise((resolve, reject) => {
-      const cwd = workspaceFolder.uri.fsPath;
-      
-      exec('git config user.name && git config user.email', { cwd }, (error, stdout) => {
-        if (error) {
-          reject(error);
-          return;
-        }
-        
-        const lines = stdout.trim().split('\n');
-        resolve({
-          username: lines[0] || 'Not set',
-          email: lines[1] || 'Not set'
-        });
-      });
-    });
+// Checks what an SSH push with an identity depends on: the key file, its permissions and .pub,
+// the Host block, ssh-agent and the email. Findings may carry a fix the report can run.
+class IdentityDoctor {
+  constructor(provider, sshManager) {
+    this.provider = provider;
+    this.sshManager = sshManager;
   }
 
-  async switchIdentity(identity) {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-    if (!workspaceFolder) {
-      vscode.window.showErrorMessage('No workspace folder open');
-      return;
+  // Fingerprints of the keys in ssh-agent, or undefined when no agent can be reached
+  async getAgentFingerprints() {
+    try {
+      const { stdout } = await runCommand('ssh-add', ['-l'], { timeout: 5000 });
+      return stdout.split('\n').map(line => line.split(/\s+/)[1]).filter(Boolean);
+    } catch (error) {
+      // Exit code 1: the agent is running but has no keys
+      return error.code === 1 ? [] : undefined;
     }
+  }
 
-    const cwd = workspaceFolder.uri.fsPath;
-    const commands = [
-      `git config user.name "${identity.username}"`,
-      `git config user.email "${identity.email}"`
-    ];
-
-    return new Promise((resolve, reject) => {
-      exec(commands.join(' && '), { cwd }, (error) => {
-        if (error) {
-          vscode.window.showErrorMessage(`Failed to switch identity: ${error.message}`);
-          reject(error);
-          return;
-        }
-        
-        const folderName = path.basename(workspaceFolder.uri.fsPath);
-        vscode.window.showInformationMessage(
-          `Switched to "${identity.name}" for ${folderName}`
-        );
-        
-        resolve();
-      });
-    });
+  async getFingerprint(publicKeyPath) {
+    const { stdout } = await runCommand('ssh-keygen', ['-l', '-f', publicKeyPath], { timeout: 5000 });
+    return stdout.split(/\s+/)[1];
   }
 
-  async addIdentity() {
-    const name = await vscode.window.showInputBox({
-      prompt: 'Enter identity name (e.g., "Work", "Personal")',
-      placeHolder: 'Work'
-    });
+  async checkIdentity(identity, identities, agentFingerprints) {
+    const findings = [];
+    // Interactive fixes open another UI, which ends the report
+    const editFix = {
+      label: 'Edit Identity',
+      interactive: true,
+      run: () => vscode.commands.executeCommand('gitIdentitySwitcher.editIdentity', identity)
+    };
+    const wizardFix = {
+      label: 'Open SSH Setup Wizard',
+      interactive: true,
+      run: () => vscode.commands.executeCommand('gitIdentitySwitcher.sshWizard')
+    };
 
-    if (!name) return;
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identity.email || '')) {
+      findings.push({ severity: 'error', message: `"${identity.email}" is not a valid email address`, fix: editFix });
+    }
+    const duplicates = identities.filter(other =>
+      getIdentityKey(other) !== getIdentityKey(identity) &&
+      (other.email || '').toLowerCase() === (identity.email || '').toLowerCase()
+    );
+    if (duplicates.length > 0) {
+      findings.push({
+        severity: 'warning',
+        message: `Uses the same email as ${duplicates.map(other => `"${other.name}"`).join(', ')}, so commits can't tell them apart`,
+        fix: editFix
+      });
+    }
 
-    const username = await vscode.window.showInputBox({
-      prompt: 'Enter Git username',
-      placeHolder: 'john.doe'
-    });
+    await this.checkKey(identity, findings, agentFingerprints, wizardFix);
+    this.checkHost(identity, findings, wizardFix);
+    return findings;
+  }
 
-    if (!username) return;
+  async checkKey(identity, findings, agentFingerprints, wizardFix) {
+    const keyPath = identity.sshKeyPath ? expandHome(identity.sshKeyPath) : getLegacyKeyPath(identity.name);
+    const keyName = path.basename(keyPath);
+    if (!fs.existsSync(keyPath)) {
+      // Without sshKeyPath the key is optional; the legacy name is only a guess
+      if (identity.sshKeyPath) {
+        findings.push({ severity: 'error', message: `SSH key ${identity.sshKeyPath} does not exist`, fix: wizardFix });
+      }
+      return;
+    }
 
-    const email = await vscode.window.showInputBox({
-      prompt: 'Enter Git email',
-      placeHolder: 'john.doe@company.com'
-    });
+    // ssh refuses private keys that other users can read; Windows uses ACLs instead
+    if (process.platform !== 'win32') {
+      const mode = fs.statSync(keyPath).mode & 0o777;
+      if (mode & 0o077) {
+        findings.push({
+          severity: 'error',
+          message: `${keyName} has permissions ${mode.toString(8).padStart(4, '0')}; ssh ignores keys others can read`,
+          fix: { label: 'Restrict to 0600', run: async () => fs.chmodSync(keyPath, 0o600) }
+        });
+        // ssh-keygen refuses the key as well, so the remaining checks would only repeat this
+        return;
+      }
+    }
 
-    if (!email) return;
+    const encrypted = await this.sshManager.isKeyEncrypted(keyPath);
+    const publicKeyPath = `${keyPath}.pub`;
+    let derived;
+    if (!encrypted) {
+      const { stdout } = await runCommand('ssh-keygen', ['-y', '-P', '', '-f', keyPath], { timeout: 10000 });
+      derived = stdout.trim().split(/\s+/).slice(0, 2).join(' ');
+    }
+    const writePublicKey = {
+      label: `Recreate ${keyName}.pub`,
+      run: async () => fs.writeFileSync(publicKeyPath, `${derived} ${identity.email}\n`, { mode: 0o644 })
+    };
 
-    const identities = this.provider.loadIdentities();
-    
-    // Check for duplicates
-    if (identities.find(id => id.name === name)) {
-      vscode.window.showErrorMessage('Identity with this name already exists');
+    if (!fs.existsSync(publicKeyPath)) {
+      findings.push({
+        severity: 'warning',
+        message: `${keyName}.pub is missing`,
+        fix: derived ? writePublicKey : undefined
+      });
+      return;
+    }
+    const publicKey = fs.readFileSync(publicKeyPath, 'utf8').trim().split(/\s+/).slice(0, 2).join(' ');
+    if (derived && publicKey !== derived) {
+      findings.push({
+        severity: 'error',
+        message: `${keyName}.pub does not belong to ${keyName}; the key you upload won't let you in`,
+        fix: writePublicKey
+      });
       return;
     }
 
-    identities.push({ name, username, email, id: Date.now() });
-    await this.provider.saveIdentities(identities);
-    this.provider.refresh();
-    
-    vscode.window.showInformationMessage(`Added identity: ${name}`);
+    // VS Code can't ask for a passphrase when git pushes, so protected keys must be in the agent
+    if (encrypted) {
+      if (agentFingerprints === undefined) {
+        findings.push({
+          severity: 'warning',
+          message: `${keyName} has a passphrase but no ssh-agent is running, so pushes from VS Code can't use it`
+        });
+      } else if (!agentFingerprints.includes(await this.getFingerprint(publicKeyPath))) {
+        findings.push({
+          severity: 'warning',
+          message: `${keyName} has a passphrase and is not loaded in ssh-agent`,
+          fix: { label: 'Add to ssh-agent', run: () => this.sshManager.loadKeyIntoAgent(keyPath) }
+        });
+      }
+    }
   }
 
-  async deleteIdentity(identity) {
-    // Handle both TreeItem (from context menu) and identity data (from command palette)
-    let identityData = identity;
-    if (identity.identity) {
-      // This is a TreeItem from context menu, extract the identity data
-      identityData = identity.identity;
+  checkHost(identity, findings, wizardFix) {
+    const sshConfig = SSHConfig.load();
+    if (!identity.sshHost) {
+      const owned = sshConfig.getManagedHosts().find(host => host.owner === identity.name);
+      if (owned) {
+        findings.push({
+          severity: 'info',
+          message: `Host ${owned.alias} was set up for this identity but the identity doesn't use it`,
+          fix: { label: `Use Host ${owned.alias}`, run: () => this.updateIdentity(identity, { sshHost: owned.alias }) }
+        });
+      }
+      return;
     }
-    
-    if (!identityData || !identityData.name) {
-      vscode.window.showErrorMessage('Invalid identity object for deletion');
+
+    const host = sshConfig.findHost(identity.sshHost);
+    if (!host) {
+      findings.push({
+        severity: 'error',
+        message: `Host ${identity.sshHost} is not defined in ~/.ssh/config`,
+        fix: wizardFix
+      });
       return;
     }
-    
-    const confirm = await vscode.window.showWarningMessage(
-      `Delete identity "${identityData.name}"?`,
-      'Delete',
-      'Cancel'
+
+    const { config, section } = host;
+    const managed = config.isManaged(section);
+    const identityFile = config.get(section, 'identityfile');
+    if (!config.get(section, 'hostname')) {
+      findings.push({ severity: 'error', message: `Host ${identity.sshHost} has no HostName` });
+    }
+    if (identity.sshKeyPath && (!identityFile || expandHome(identityFile) !== expandHome(identity.sshKeyPath))) {
+      findings.push({
+        severity: 'warning',
+        message: `Host ${identity.sshHost} uses ${identityFile || 'the default keys'} instead of ${identity.sshKeyPath}`,
+        fix: managed ? {
+          label: `Use ${identity.sshKeyPath} in Host ${identity.sshHost}`,
+          run: async () => {
+            config.set(section, 'IdentityFile', identity.sshKeyPath);
+            config.save();
+          }
+        } : undefined
+      });
+    }
+    if (identityFile && (config.get(section, 'identitiesonly') || '').toLowerCase() !== 'yes') {
+      findings.push({
+        severity: 'warning',
+        message: `Host ${identity.sshHost} doesn't set IdentitiesOnly, so ssh may offer another account's key first`,
+        fix: managed ? {
+          label: `Set IdentitiesOnly in Host ${identity.sshHost}`,
+          run: async () => {
+            config.set(section, 'IdentitiesOnly', 'yes');
+            config.save();
+          }
+        } : undefined
+      });
+    }
+  }
+
+  async updateIdentity(identity, changes) {
+    const identities = this.provider.loadIdentities().map(current =>
+      getIdentityKey(current) === getIdentityKey(identity) ? { ...current, ...changes } : current
     );
+    await this.provider.saveIdentities(identities);
+    this.provider.refresh();
+  }
 
-    if (confirm === 'Delete') {
+  // Checks every identity (or only the given one) and updates the badges in the Identities view
+  async checkAll(only) {
+    const identities = this.provider.loadIdentities();
+    const agentFingerprints = await this.getAgentFingerprints();
+    const results = [];
+    const health = only ? new Map(this.provider.health) : new Map();
+    for (const identity of identities) {
+      if (only && getIdentityKey(only) !== getIdentityKey(identity)) continue;
+      let findings;
       try {
-        const identities = this.provider.loadIdentities();
-        const filtered = identities.filter(id => id.name !== identityData.name);
-        
-        await this.provider.saveIdentities(filtered);
-        this.provider.refresh();
-        
-        vscode.window.showInformationMessage(`Deleted identity: ${identityData.name}`);
+        findings = await this.checkIdentity(identity, identities, agentFingerprints);
       } catch (error) {
-        console.error('Error deleting identity:', error);
-        vscode.window.showErrorMessage(`Failed to delete identity: ${error.message}`);
+        findings = [{ severity: 'error', message: `The check failed: ${error.message}` }];
       }
+      health.set(getIdentityKey(identity), findings);
+      results.push({ identity, findings });
     }
+    this.provider.setHealth(health);
+    return results;
   }
 
-  async copyPublicKey(identity) {
-    // Handle both TreeItem (from context menu) and identity data (from command palette)
-    let identityData = identity;
-    if (identity.identity) {
-      // This is a TreeItem from context menu, extract the identity data
-      identityData = identity.identity;
-    }
-    
-    if (!identityData || !identityData.name) {
-      vscode.window.showErrorMessage('Invalid identity object for copying SSH key');
-      return;
-    }
-    
-    const sshDir = path.join(os.homedir(), '.ssh');
-    const keyName = `id_rsa_${identityData.name.toLowerCase().replace(/\s+/g, '_')}`;
-    const publicKeyPath = path.join(sshDir, `${keyName}.pub`);
-    
-    try {
-      if (fs.existsSync(publicKeyPath)) {
-        const publicKey = fs.readFileSync(publicKeyPath, 'utf8').trim();
-        await vscode.env.clipboard.writeText(publicKey);
-        vscode.window.showInformationMessage(`SSH public key copied to clipboard for ${identityData.name}`);
-      } else {
-        vscode.window.showErrorMessage(`SSH key not found for ${identityData.name}. Run SSH wizard first.`);
+  // Problems-style report: findings grouped by identity, worst first. Picking a finding with a
+  // fix runs it and checks again.
+  async run(identity) {
+    const target = identity && identity.identity ? identity.identity : identity;
+    const order = { error: 0, warning: 1, info: 2 };
+
+    for (;;) {
+      const results = await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Notification, title: 'Checking identity health...' },
+        () => this.checkAll(target && target.name ? target : undefined)
+      );
+
+      const items = [];
+      const fixes = [];
+      for (const { identity: checked, findings } of results) {
+        commandRunner.log(`Health of "${checked.name}": ${findings.length === 0 ? 'no problems' : `${findings.length} findings`}`);
+        items.push({ label: checked.name, kind: vscode.QuickPickItemKind.Separator });
+        if (findings.length === 0) {
+          items.push({ label: '$(pass) No problems found' });
+        }
+        for (const finding of [...findings].sort((a, b) => order[a.severity] - order[b.severity])) {
+          commandRunner.log(`  ${finding.severity}: ${finding.message}`);
+          items.push({
+            label: `${HEALTH_SEVERITY_ICONS[finding.severity]} ${finding.message}`,
+            detail: finding.fix ? `$(wrench) ${finding.fix.label}` : undefined,
+            finding
+          });
+          if (finding.fix && !finding.fix.interactive) fixes.push(finding.fix);
+        }
       }
-    } catch (error) {
-      vscode.window.showErrorMessage(`Failed to copy SSH key: ${error.message}`);
+      if (fixes.length > 1) {
+        items.unshift({ label: `$(wrench) Fix All (${fixes.length})`, fixes });
+      }
+
+      const problemCount = results.reduce((count, result) =>
+        count + result.findings.filter(finding => finding.severity !== 'info').length, 0);
+      const selected = await vscode.window.showQuickPick(items, {
+        title: problemCount === 0 ? 'Identity Health: no problems found' : `Identity Health: ${problemCount} ${problemCount === 1 ? 'problem' : 'problems'}`,
+        placeHolder: 'Select a problem to fix it',
+        matchOnDetail: true
+      });
+
+      const toRun = selected && (selected.fixes || (selected.finding && selected.finding.fix ? [selected.finding.fix] : []));
+      if (!toRun || toRun.length === 0) return;
+
+      for (const fix of toRun) {
+        try {
+          await fix.run();
+        } catch (error) {
+          showCommandError(`"${fix.label}" failed: ${error.message}`);
+        }
+      }
+      if (toRun.some(fix => fix.interactive)) return;
     }
   }
 }
 
+// The object returned from activate, for other extensions:
+// vscode.extensions.getExtension('Wisdom47.git-identity-switcher').exports
+function createExtensionApi(manager) {
+  const resolveIdentity = reference => {
+    const identity = manager.provider.findIdentity(
+      reference && typeof reference === 'object' ? reference.id ?? reference.name : reference
+    );
+    if (!identity) {
+      throw new Error(`Unknown identity: ${reference && typeof reference === 'object' ? reference.name : reference}`);
+    }
+    return identity;
+  };
+
+  return {
+    listIdentities() {
+      return manager.provider.loadIdentities().map(toPublicIdentity);
+    },
+
+    // The configured identity whose email is set in the folder's repository; undefined when the
+    // repository uses an email no identity has
+    async getIdentityForFolder(uri) {
+      const repository = await manager.getRepositoryForUri(uri);
+      const identity = manager.findIdentityByConfig(await manager.getCurrentIdentity(repository));
+      return identity && toPublicIdentity(identity);
+    },
+
+    // Accepts an identity from listIdentities, or an identity id or name. Another extension is
+    // calling, so there are no pickers or messages: it gets an error instead.
+    async switchIdentity(reference, uri) {
+      const identity = resolveIdentity(reference);
+      const repository = uri ? await manager.getRepositoryForUri(uri) : await manager.resolveRepository();
+      if (!repository) {
+        throw new Error('No workspace folder open');
+      }
+      await manager.switchIdentity(identity, repository, { quiet: true });
+    },
+
+    onDidSwitchIdentity: manager.onDidSwitchIdentity,
+    onDidChangeIdentities: manager.provider.onDidChangeIdentities
+  };
+}
+
 function activate(context) {
-  const manager = new GitIdentityManager();
-  const sshManager = new SSHManager();
+  const outputChannel = vscode.window.createOutputChannel('Git Identity');
+  commandRunner.setOutputChannel(outputChannel);
+
+  const history = new SwitchHistory(context.globalState);
+  const manager = new GitIdentityManager(history, context);
+  const sshManager = new SSHManager(manager.provider);
+  const ruleEngine = new IdentityRuleEngine(manager);
+  const commitGuard = new CommitGuard(manager, ruleEngine);
   
   // Register tree views
   const identitiesView = vscode.window.createTreeView('gitIdentitySwitcher', {
     treeDataProvider: manager.provider
   });
   
+  const currentIdentityProvider = new CurrentIdentityProvider(manager);
   const currentIdentityView = vscode.window.createTreeView('currentIdentityView', {
-    treeDataProvider: new CurrentIdentityProvider(manager)
+    treeDataProvider: currentIdentityProvider
+  });
+
+  const historyView = vscode.window.createTreeView('identityHistoryView', {
+    treeDataProvider: new SwitchHistoryProvider(history)
+  });
+
+  const directoryMappingProvider = new DirectoryMappingProvider(manager);
+  const directoryMappingsView = vscode.window.createTreeView('directoryMappingsView', {
+    treeDataProvider: directoryMappingProvider
   });
   
 
@@ -727,8 +5349,14 @@ function activate(context) {
   const switchCommand = vscode.commands.registerCommand(
     'gitIdentitySwitcher.switchIdentity',
     async (identity) => {
+      // Folder entries of the Current Identity view pass themselves to switch that folder
+      const targetFolder = identity && identity.folder;
+      if (identity && identity.identity) {
+        identity = identity.identity;
+      }
+
       if (identity && identity.username) {
-        await manager.switchIdentity(identity);
+        await manager.switchIdentity(identity, undefined, { askForHosts: true });
       } else {
         // Show quick pick if called from command palette
         const identities = manager.provider.loadIdentities();
@@ -747,7 +5375,7 @@ function activate(context) {
         );
 
         if (selected) {
-          await manager.switchIdentity(selected.identity);
+          await manager.switchIdentity(selected.identity, targetFolder, { askForHosts: true });
         }
       }
     }
@@ -763,6 +5391,27 @@ function activate(context) {
     () => manager.provider.refresh()
   );
 
+  const editCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.editIdentity',
+    (identity) => manager.editIdentity(identity)
+  );
+
+  const doctor = new IdentityDoctor(manager.provider, sshManager);
+  const checkHealthCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.checkHealth',
+    (identity) => doctor.run(identity)
+  );
+
+  const moveCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.moveIdentity',
+    (identity) => manager.moveIdentity(identity)
+  );
+
+  const setHttpsCredentialsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.setHttpsCredentials',
+    (identity) => manager.setHttpsCredentials(identity)
+  );
+
   const deleteCommand = vscode.commands.registerCommand(
     'gitIdentitySwitcher.deleteIdentity',
     (identity) => manager.deleteIdentity(identity)
@@ -794,7 +5443,24 @@ function activate(context) {
 
   const sshWizardCommand = vscode.commands.registerCommand(
     'gitIdentitySwitcher.sshWizard',
-    () => sshManager.runSSHWizard()
+    (identity) => sshManager.runSSHWizard(identity)
+  );
+
+  // Brings back a wizard that was open when the window was reloaded
+  const sshWizardSerializer = vscode.window.registerWebviewPanelSerializer('sshWizard', {
+    async deserializeWebviewPanel(panel) {
+      sshManager.restoreSSHWizard(panel);
+    }
+  });
+
+  const showSSHHostsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.showSSHHosts',
+    () => sshManager.showManagedHosts()
+  );
+
+  const cleanUpSSHHostsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.cleanUpSSHHosts',
+    () => sshManager.cleanUpManagedHosts()
   );
 
   const copyPublicKeyCommand = vscode.commands.registerCommand(
@@ -802,6 +5468,106 @@ function activate(context) {
     (identity) => manager.copyPublicKey(identity)
   );
 
+  const rewriteRemotesCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.rewriteRemotes',
+    () => manager.rewriteRemotes()
+  );
+
+  const importIdentitiesCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.importIdentities',
+    () => new IdentityImporter(manager.provider).run()
+  );
+
+  const addDirectoryMappingCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.addDirectoryMapping',
+    () => directoryMappingProvider.addMapping()
+  );
+
+  const removeDirectoryMappingCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.removeDirectoryMapping',
+    (item) => directoryMappingProvider.removeMapping(item)
+  );
+
+  const identityTransfer = new IdentityTransfer(manager.provider);
+  const exportIdentitiesCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.exportIdentities',
+    () => identityTransfer.exportIdentities()
+  );
+
+  const importIdentityFileCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.importIdentityFile',
+    () => identityTransfer.importIdentities()
+  );
+
+  const applyRulesCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.applyRules',
+    () => ruleEngine.evaluate(vscode.workspace.workspaceFolders, { manual: true })
+  );
+
+  const guardedCommitCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.guardedCommit',
+    (sourceControl) => commitGuard.commit(sourceControl)
+  );
+
+  const installCommitHookCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.installCommitHook',
+    () => commitGuard.installHook()
+  );
+
+  const removeCommitHookCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.removeCommitHook',
+    () => commitGuard.removeHook()
+  );
+
+  const openConfigOriginCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.openConfigOrigin',
+    (item) => currentIdentityProvider.openOrigin(item)
+  );
+
+  const coAuthorSession = new CoAuthorSession(manager, context.workspaceState);
+  const selectCoAuthorsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.selectCoAuthors',
+    () => coAuthorSession.select()
+  );
+
+  const clearCoAuthorsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.clearCoAuthors',
+    () => coAuthorSession.setCoAuthors([])
+  );
+
+  const commitAuthorFixer = new CommitAuthorFixer(manager);
+  const fixCommitAuthorsCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.fixCommitAuthors',
+    () => commitAuthorFixer.run()
+  );
+
+  const undoLastSwitchCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.undoLastSwitch',
+    () => manager.undoLastSwitch()
+  );
+
+  const restoreHistoryEntryCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.restoreHistoryEntry',
+    (item) => item && item.entry && manager.restoreHistoryEntry(item.entry)
+  );
+
+  const clearSwitchHistoryCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.clearSwitchHistory',
+    async () => {
+      const confirm = await vscode.window.showWarningMessage(
+        'Clear the identity switch history of all repositories?',
+        { modal: true },
+        'Clear'
+      );
+      if (confirm === 'Clear') await history.clear();
+    }
+  );
+
+  const showLogCommand = vscode.commands.registerCommand(
+    'gitIdentitySwitcher.showLog',
+    () => commandRunner.show()
+  );
+
   // Show current identity in status bar
   const statusBarItem = vscode.window.createStatusBarItem(
     vscode.StatusBarAlignment.Left,
@@ -811,9 +5577,18 @@ function activate(context) {
   
   const updateStatusBar = async () => {
     try {
-      const current = await manager.getCurrentIdentity();
-      statusBarItem.text = `$(person) ${current.username}`;
-      statusBarItem.tooltip = `Git: ${current.username} <${current.email}>\nClick to switch identity`;
+      const repository = await manager.resolveRepository();
+      const current = await manager.getCurrentIdentity(repository);
+      const repositoryLine = vscode.workspace.workspaceFolders.length > 1 ? `\nRepository: ${repository.name}` : '';
+      const coAuthors = coAuthorSession.getCoAuthors();
+      const pair = coAuthors.length > 0
+        ? ` $(organization) ${coAuthors.map(coAuthor => coAuthor.name.split(' ')[0]).join(', ')}`
+        : '';
+      const pairLine = coAuthors.length > 0
+        ? `\nPairing with: ${coAuthors.map(coAuthor => `${coAuthor.name} <${coAuthor.email}>`).join(', ')}`
+        : '';
+      statusBarItem.text = `$(person) ${current.username}${pair}`;
+      statusBarItem.tooltip = `Git: ${current.username} <${current.email}>${repositoryLine}${pairLine}\nClick to switch identity`;
       statusBarItem.show();
       
       // Refresh current identity view when status bar updates
@@ -822,7 +5597,7 @@ function activate(context) {
           currentIdentityView.treeDataProvider.refresh();
         }
       } catch (refreshError) {
-        console.error('Error refreshing current identity view from status bar:', refreshError);
+        commandRunner.log(`Error refreshing current identity view from status bar: ${refreshError.message}`);
       }
     } catch (error) {
       statusBarItem.hide();
@@ -833,7 +5608,7 @@ function activate(context) {
           currentIdentityView.treeDataProvider.refresh();
         }
       } catch (refreshError) {
-        console.error('Error refreshing current identity view from status bar error handler:', refreshError);
+        commandRunner.log(`Error refreshing current identity view from status bar error handler: ${refreshError.message}`);
       }
     }
   };
@@ -845,7 +5620,50 @@ function activate(context) {
         currentIdentityView.treeDataProvider.refresh();
       }
     } catch (error) {
-      console.error('Error refreshing current identity view:', error);
+      commandRunner.log(`Error refreshing current identity view: ${error.message}`);
+    }
+  });
+
+  // Keep the generated include files in step with edits to identities and mappings
+  const syncDirectoryMappings = () => {
+    directoryMappingProvider.sync().catch(error => {
+      commandRunner.log(`Error syncing directory mappings: ${error.message}`);
+      showCommandError(`Failed to update directory identity mappings: ${error.message}`);
+    });
+  };
+  syncDirectoryMappings();
+
+  // Badges in the Identities view; the full report is the Check Identity Health command
+  const updateHealthBadges = () => {
+    doctor.checkAll().catch(error => commandRunner.log(`Error checking identity health: ${error.message}`));
+  };
+  updateHealthBadges();
+
+  try {
+    manager.credentials.installHelper();
+  } catch (error) {
+    commandRunner.log(`Error installing the credential helper: ${error.message}`);
+  }
+
+  // Git asks the window for HTTPS tokens while identities have an HTTPS username
+  const startCredentialServer = () => {
+    manager.credentials.startIfNeeded().catch(error => {
+      showCommandError(`Failed to start the credential helper server: ${error.message}`);
+    });
+  };
+  startCredentialServer();
+
+  const configurationListener = vscode.workspace.onDidChangeConfiguration(event => {
+    if (event.affectsConfiguration('gitIdentitySwitcher.identities')) {
+      // Also picks up hand edits to settings.json
+      manager.provider.refresh();
+      updateHealthBadges();
+      startCredentialServer();
+    }
+    if (event.affectsConfiguration('gitIdentitySwitcher.identities') ||
+        event.affectsConfiguration('gitIdentitySwitcher.directoryMappings')) {
+      syncDirectoryMappings();
+      directoryMappingProvider.refresh();
     }
   });
 
@@ -853,18 +5671,79 @@ function activate(context) {
   updateStatusBar();
   vscode.window.onDidChangeActiveTextEditor(updateStatusBar);
 
+  // Refresh when git config changes outside the extension, e.g. "git config" in a terminal
+  const configWatcher = new GitConfigWatcher(manager, updateStatusBar);
+  const updateConfigWatchers = () => {
+    configWatcher.update().catch(error => commandRunner.log(`Error updating git config watchers: ${error.message}`));
+  };
+  updateConfigWatchers();
+  const activeEditorListener = vscode.window.onDidChangeActiveTextEditor(updateConfigWatchers);
+  const historyListener = history.onDidChange(updateStatusBar);
+  const coAuthorListener = coAuthorSession.onDidChange(updateStatusBar);
+
+  // A pairing session outlives a reload; put its trailers back into the message boxes
+  if (coAuthorSession.getCoAuthors().length > 0) {
+    coAuthorSession.updateAll().catch(error => commandRunner.log(`Error restoring co-author trailers: ${error.message}`));
+  }
+
+  // Apply identity rules to the folders open at startup and to folders added later
+  ruleEngine.evaluate(vscode.workspace.workspaceFolders);
+  const workspaceFoldersListener = vscode.workspace.onDidChangeWorkspaceFolders(event => {
+    ruleEngine.evaluate(event.added);
+    updateStatusBar();
+    updateConfigWatchers();
+  });
+
   context.subscriptions.push(
     switchCommand,
     addCommand,
     refreshCommand,
     deleteCommand,
+    editCommand,
+    setHttpsCredentialsCommand,
+    manager.credentials,
+    checkHealthCommand,
+    moveCommand,
     deleteIdentityFromPalette,
     sshWizardCommand,
+    sshWizardSerializer,
     copyPublicKeyCommand,
+    showSSHHostsCommand,
+    cleanUpSSHHostsCommand,
+    applyRulesCommand,
+    rewriteRemotesCommand,
+    importIdentitiesCommand,
+    exportIdentitiesCommand,
+    importIdentityFileCommand,
+    addDirectoryMappingCommand,
+    removeDirectoryMappingCommand,
+    configurationListener,
+    guardedCommitCommand,
+    installCommitHookCommand,
+    removeCommitHookCommand,
+    fixCommitAuthorsCommand,
+    selectCoAuthorsCommand,
+    clearCoAuthorsCommand,
+    coAuthorSession,
+    showLogCommand,
+    openConfigOriginCommand,
+    undoLastSwitchCommand,
+    restoreHistoryEntryCommand,
+    clearSwitchHistoryCommand,
+    historyView,
+    outputChannel,
+    workspaceFoldersListener,
+    historyListener,
+    coAuthorListener,
+    configWatcher,
+    activeEditorListener,
     statusBarItem,
     identitiesView,
-    currentIdentityView
+    currentIdentityView,
+    directoryMappingsView
   );
+
+  return createExtensionApi(manager);
 }
 
 function deactivate() {}